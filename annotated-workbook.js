@@ -0,0 +1,225 @@
+/**
+ * STAMPS Bulk Generator - Annotated Workbook
+ * Returns the preparer's own workbook with validation problems marked on it
+ */
+
+import XLSX from 'xlsx-js-style';
+import { buildColumnMap, PARTY_COLUMNS, NUMBERED_PARTY_PATH_REGEX } from './renderer/parser.js';
+import { buildFieldSummary } from './renderer/validation-report.js';
+
+// Cell fills by severity (Excel's "bad" and "neutral" colours)
+const FILLS = {
+    error: { patternType: 'solid', fgColor: { rgb: 'FFC7CE' } },
+    warning: { patternType: 'solid', fgColor: { rgb: 'FFEB9C' } }
+};
+
+// Header of the column listing each row's problems
+const ISSUES_HEADER = 'Issues';
+
+// Sheet added with the issue counts
+const SUMMARY_SHEET = 'Validation Summary';
+
+// Author shown on cell comments
+const COMMENT_AUTHOR = 'STAMPS Validator';
+
+// Row numbers of combined sheets and linked sheets, e.g. "Parties!3"
+const SHEET_ROW_REGEX = /^(.+)!(\d+)$/;
+
+/**
+ * Create a copy of an uploaded workbook with validation issues marked:
+ * the cell of each issue is highlighted and carries the messages as a comment,
+ * each row with issues gets them listed in an "Issues" column, and a summary sheet is added
+ * @param {Buffer|Uint8Array} buffer - Uploaded Excel/CSV file
+ * @param {Object} options - { errors, warnings, sheets: data sheet names read, columnMap: source header -> field path, source }
+ * @returns {Buffer} XLSX file contents
+ */
+export function createAnnotatedWorkbook(buffer, { errors = [], warnings = [], sheets = [], columnMap = null, source = '' }) {
+    const wb = XLSX.read(buffer, { type: 'buffer', cellStyles: true });
+    const dataSheets = sheets.length > 0 ? sheets : [wb.SheetNames[0]];
+
+    // Issues grouped by sheet and row, errors before warnings
+    const rows = new Map();
+    const unplaced = [];
+    const issues = [
+        ...errors.map(issue => ({ ...issue, severity: 'error' })),
+        ...warnings.map(issue => ({ ...issue, severity: 'warning' }))
+    ];
+    for (const issue of issues) {
+        const location = locateRow(issue.rowNumber, dataSheets[0]);
+        if (!wb.Sheets[location.sheet]) {
+            unplaced.push(issue);
+            continue;
+        }
+        const key = `${location.sheet}!${location.row}`;
+        if (!rows.has(key)) rows.set(key, { ...location, issues: [] });
+        rows.get(key).issues.push(issue);
+    }
+
+    // Sheets that received issues, with their header row
+    const sheetInfo = new Map();
+    for (const { sheet } of rows.values()) {
+        if (sheetInfo.has(sheet)) continue;
+        const worksheet = wb.Sheets[sheet];
+        const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+        const headers = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+            headers[c] = cell ? String(cell.w ?? cell.v).trim() : '';
+        }
+
+        // A workbook annotated before keeps its Issues column, with the old entries cleared
+        let issuesColumn = headers.indexOf(ISSUES_HEADER);
+        if (issuesColumn >= 0) {
+            for (let r = range.s.r + 1; r <= range.e.r; r++) {
+                delete worksheet[XLSX.utils.encode_cell({ r, c: issuesColumn })];
+            }
+        } else {
+            issuesColumn = range.e.c + 1;
+        }
+
+        sheetInfo.set(sheet, {
+            worksheet,
+            range,
+            isDataSheet: dataSheets.includes(sheet),
+            fieldColumns: getFieldColumns(headers, dataSheets.includes(sheet) ? columnMap : null),
+            issuesColumn
+        });
+    }
+
+    for (const { sheet, row, issues: rowIssues } of rows.values()) {
+        const info = sheetInfo.get(sheet);
+
+        // Highlight and comment the cell of each issue
+        const cells = new Map();
+        for (const issue of rowIssues) {
+            const column = info.fieldColumns.get(getIssueField(issue.fieldName, info.isDataSheet));
+            if (column === undefined) continue;
+            if (!cells.has(column)) cells.set(column, []);
+            cells.get(column).push(issue);
+        }
+        for (const [column, cellIssues] of cells) {
+            const address = XLSX.utils.encode_cell({ r: row - 1, c: column });
+            const cell = info.worksheet[address] || (info.worksheet[address] = { t: 's', v: '' });
+            const severity = cellIssues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+            cell.s = { ...cell.s, fill: FILLS[severity] };
+            cell.c = [{ a: COMMENT_AUTHOR, t: cellIssues.map(issue => issue.message).join('\n') }];
+            cell.c.hidden = true;
+        }
+
+        // List every issue of the row, including those without a matching column
+        const address = XLSX.utils.encode_cell({ r: row - 1, c: info.issuesColumn });
+        info.worksheet[address] = {
+            t: 's',
+            v: rowIssues.map(formatIssue).join('\n'),
+            s: { fill: FILLS[rowIssues.some(issue => issue.severity === 'error') ? 'error' : 'warning'], alignment: { wrapText: true, vertical: 'top' } }
+        };
+    }
+
+    // Issues column header and widened sheet range
+    for (const info of sheetInfo.values()) {
+        info.worksheet[XLSX.utils.encode_cell({ r: info.range.s.r, c: info.issuesColumn })] = {
+            t: 's',
+            v: ISSUES_HEADER,
+            s: { font: { bold: true } }
+        };
+        info.range.e.c = Math.max(info.range.e.c, info.issuesColumn);
+        info.worksheet['!ref'] = XLSX.utils.encode_range(info.range);
+
+        const cols = info.worksheet['!cols'] || [];
+        cols[info.issuesColumn] = { wch: 60 };
+        info.worksheet['!cols'] = cols;
+    }
+
+    appendSummarySheet(wb, { errors, warnings, unplaced, source, rowCount: rows.size });
+
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Add (or replace) the summary sheet, placed first so it is seen on opening
+ */
+function appendSummarySheet(wb, { errors, warnings, unplaced, source, rowCount }) {
+    const data = [
+        ['STAMPS Validation Summary'],
+        [],
+        ['Source', source],
+        ['Created', new Date().toISOString()],
+        ['Errors', errors.length],
+        ['Warnings', warnings.length],
+        ['Rows with issues', rowCount],
+        [],
+        ['Highlighted cells: red = error, yellow = warning. Hover a cell for the message; the "Issues" column lists every problem of the row.'],
+        [],
+        ['Field', 'Errors', 'Warnings', 'Total', 'Rows Affected', 'Error Types'],
+        ...buildFieldSummary({ errors, warnings })
+    ];
+    if (unplaced.length > 0) {
+        data.push([], ['Issues not located in the workbook'], ['Row', 'Message'],
+            ...unplaced.map(issue => [String(issue.rowNumber), formatIssue(issue)]));
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(data);
+    sheet['!cols'] = [{ wch: 30 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 14 }, { wch: 30 }];
+    sheet.A1.s = { font: { bold: true, sz: 14 } };
+
+    if (wb.Sheets[SUMMARY_SHEET]) {
+        wb.SheetNames = wb.SheetNames.filter(name => name !== SUMMARY_SHEET);
+    }
+    wb.Sheets[SUMMARY_SHEET] = sheet;
+    wb.SheetNames.unshift(SUMMARY_SHEET);
+}
+
+/**
+ * Sheet and Excel row of an issue's row number
+ * @param {number|string} rowNumber - Row number (Excel row, or "Sheet!Row")
+ * @param {string} defaultSheet - Sheet of plain row numbers
+ * @returns {Object} { sheet, row }
+ */
+function locateRow(rowNumber, defaultSheet) {
+    const match = String(rowNumber).match(SHEET_ROW_REGEX);
+    return match
+        ? { sheet: match[1], row: parseInt(match[2], 10) }
+        : { sheet: defaultSheet, row: parseInt(rowNumber, 10) };
+}
+
+/**
+ * Column index of each field in a sheet, the reverse of the column map
+ * Linked sheets (no column map) use the party column headers of the Parties sheet
+ * @param {string[]} headers - Header row, by column index
+ * @param {Object|null} columnMap - Source header -> field path, for data sheets
+ * @returns {Map} Field path (or party field for linked sheets) -> column index
+ */
+function getFieldColumns(headers, columnMap) {
+    const fieldColumns = new Map();
+    const partyFields = new Map(Object.entries(PARTY_COLUMNS).map(([column, field]) => [column.toLowerCase(), field]));
+    const map = columnMap || buildColumnMap(headers.filter(Boolean));
+
+    headers.forEach((header, column) => {
+        if (!header) return;
+        // Later columns win, as in mapRows
+        const field = Object.hasOwn(map, header) ? map[header] : partyFields.get(header.toLowerCase());
+        if (field) fieldColumns.set(field, column);
+    });
+
+    return fieldColumns;
+}
+
+/**
+ * Field an issue is marked on: attachment list issues belong to the attachment column,
+ * and issues on a linked sheet row to its party column ('transferee[2].name' -> 'name')
+ * @param {string} fieldName - Issue field path
+ * @param {boolean} isDataSheet - Whether the issue row is on a data sheet
+ * @returns {string} Field
+ */
+function getIssueField(fieldName, isDataSheet) {
+    if (fieldName === 'attachments') return 'attachment';
+    const numbered = fieldName.match(NUMBERED_PARTY_PATH_REGEX);
+    return numbered && !isDataSheet ? numbered[3] : fieldName;
+}
+
+/**
+ * One line of the Issues column
+ */
+function formatIssue(issue) {
+    return `${issue.severity === 'error' ? 'Error' : 'Warning'}: ${issue.message}`;
+}
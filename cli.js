@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * STAMPS Bulk Generator - Command Line Interface
+ * Headless Excel/CSV to STAMPS XML conversion
+ *
+ * Exit codes: 0 = XML generated, 1 = validation failed, 2 = usage or runtime error
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { runPipeline, loadAttachmentsDir } from './pipeline.js';
+import XLSX from 'xlsx';
+import { formatFileSize } from './renderer/generator.js';
+import { buildReportSheets, buildReportCsv } from './renderer/validation-report.js';
+import { createAnnotatedWorkbook } from './annotated-workbook.js';
+import { isStampsXml } from './renderer/xml-import.js';
+import { estimateDuty, summarizeDuty, formatDuty } from './renderer/stamp-duty.js';
+
+const USAGE = `Usage: stamps-bulk <data-file> [options]
+
+Converts an Excel/CSV file into STAMPS bulk XML batches.
+A STAMPS XML file can be given instead to re-validate and regenerate it; its embedded
+attachments are extracted to <out>/attachments.
+
+Options:
+  -a, --attachments <dir>  Directory containing the attachment files
+  -s, --sheet <name>       Sheet to read; repeat to combine sheets (default: detected data sheet)
+  -o, --out <dir>          Output directory (default: ./output)
+  -h, --help               Show this help
+`;
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                attachments: { type: 'string', short: 'a' },
+                sheet: { type: 'string', short: 's', multiple: true },
+                out: { type: 'string', short: 'o', default: 'output' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const dataFile = positionals[0];
+    const outDir = path.resolve(values.out);
+
+    if (!fs.existsSync(dataFile)) {
+        console.error(`Data file not found: ${dataFile}`);
+        return 2;
+    }
+    if (values.attachments && !fs.existsSync(values.attachments)) {
+        console.error(`Attachments directory not found: ${values.attachments}`);
+        return 2;
+    }
+
+    const attachmentFiles = loadAttachmentsDir(values.attachments);
+    console.log(`Reading ${dataFile} (${attachmentFiles.size} attachment files available)`);
+
+    const { parsed, validation, batches, schemaViolations } = await runPipeline({
+        buffer: new Uint8Array(fs.readFileSync(dataFile)),
+        filename: path.basename(dataFile),
+        attachmentFiles,
+        sheets: values.sheet,
+        onProgress: (progress) => {
+            if (process.stdout.isTTY) {
+                process.stdout.write(`\rProcessing record ${progress.current} of ${progress.total}...`);
+            }
+        }
+    });
+    if (process.stdout.isTTY && (batches || schemaViolations.length > 0)) process.stdout.write('\n');
+
+    // Always write the validation report
+    fs.mkdirSync(outDir, { recursive: true });
+    const reportPath = path.join(outDir, 'validation-report.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+        source: path.basename(dataFile),
+        createdAt: new Date().toISOString(),
+        totalRecords: parsed.mappedData.length,
+        estimatedDuty: summarizeDuty(parsed.mappedData.map(estimateDuty)),
+        ...validation
+    }, null, 2), 'utf8');
+
+    // Spreadsheet versions of the report for the person fixing the data
+    fs.writeFileSync(path.join(outDir, 'validation-report.csv'), '\ufeff' + buildReportCsv(validation, parsed.mappedData), 'utf8');
+    const reportBook = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(buildReportSheets(validation, parsed.mappedData, { source: path.basename(dataFile) }))) {
+        XLSX.utils.book_append_sheet(reportBook, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    XLSX.writeFile(reportBook, path.join(outDir, 'validation-report.xlsx'));
+
+    if (isStampsXml(dataFile)) {
+        // Attachments embedded in the imported XML
+        if (parsed.attachments.length > 0) {
+            const attachmentsDir = path.join(outDir, 'attachments');
+            fs.mkdirSync(attachmentsDir, { recursive: true });
+            for (const attachment of parsed.attachments) {
+                fs.writeFileSync(path.join(attachmentsDir, path.basename(attachment.filename)), attachment.data);
+            }
+            console.log(`Extracted ${parsed.attachments.length} attachment(s) to ${attachmentsDir}`);
+        }
+        for (const warning of parsed.warnings) {
+            console.warn(`  ${warning}`);
+        }
+    } else {
+        console.log(`Sheet${parsed.selectedSheets.length > 1 ? 's' : ''}: ${parsed.selectedSheets.join(', ')}`);
+    }
+    for (const row of parsed.unlinkedRows) {
+        console.warn(`  Row ${row.rowNumber}  Not linked to a record: ${row.reason}`);
+    }
+    console.log(`${parsed.mappedData.length} records: ${validation.validCount} valid, ${validation.errorCount} errors, ${validation.warningCount} warnings`);
+
+    if (parsed.mappedData.length === 0) {
+        console.error('No records found in data file');
+        return 1;
+    }
+
+    // The data file with its problems marked, to hand back to the preparer
+    let annotatedPath = null;
+    if (validation.errorCount + validation.warningCount > 0 && !isStampsXml(dataFile)) {
+        annotatedPath = path.join(outDir, `${path.parse(dataFile).name}_issues.xlsx`);
+        fs.writeFileSync(annotatedPath, createAnnotatedWorkbook(fs.readFileSync(dataFile), {
+            ...validation,
+            sheets: parsed.selectedSheets,
+            source: path.basename(dataFile)
+        }));
+    }
+
+    if (!validation.valid) {
+        for (const issue of validation.errors) {
+            console.error(`  Row ${issue.rowNumber}  ${issue.fieldName}: ${issue.message}`);
+        }
+        console.error(`Validation failed. See ${reportPath} (or validation-report.xlsx / .csv)${annotatedPath ? ` and ${annotatedPath}` : ''}`);
+        return 1;
+    }
+
+    if (schemaViolations.length > 0) {
+        for (const violation of schemaViolations) {
+            console.error(`  Batch ${violation.batch} (${violation.filename})  ${violation.refNo || '-'}  ${violation.path}: ${violation.message}`);
+        }
+        console.error('Generated XML does not match the STAMPS schema. No files were written.');
+        return 1;
+    }
+
+    for (const batch of batches) {
+        await pipeline(
+            Readable.fromWeb(batch.content.stream()),
+            fs.createWriteStream(path.join(outDir, batch.filename))
+        );
+        console.log(`  ${batch.filename}  ${formatFileSize(batch.size)}  ${batch.recordCount} records  est. duty ${formatDuty(batch.duty.total)}`);
+    }
+    console.log(`Generated ${batches.length} file(s) in ${outDir}`);
+
+    const duty = summarizeDuty(parsed.mappedData.map(estimateDuty));
+    console.log(`Estimated stamp duty: ${formatDuty(duty.total)}${duty.unestimatedCount > 0 ? ` (${duty.unestimatedCount} record(s) not estimated, see the Duty sheet of validation-report.xlsx)` : ''}`);
+
+    return 0;
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error('Generation failed:', error.message);
+        process.exitCode = 2;
+    }
+);
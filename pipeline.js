@@ -0,0 +1,147 @@
+/**
+ * STAMPS Bulk Generator - Processing Pipeline
+ * Runs the renderer parse/validate/generate modules outside the browser
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { unzipSync } from 'fflate';
+import { parseFile } from './renderer/parser.js';
+import { isStampsXml, parseStampsXml } from './renderer/xml-import.js';
+import { validateAll } from './renderer/validator.js';
+import { generateXml, formatFileSize } from './renderer/generator.js';
+import { checkBatches } from './renderer/schema-check.js';
+
+// Data file extensions accepted by parseFile, and STAMPS XML read by parseStampsXml
+export const DATA_FILE_REGEX = /\.(xlsx|xls|csv|xml)$/i;
+
+/**
+ * Build an attachment map from the files in a directory
+ * Files are read lazily at generation time, only the path and size are kept
+ * @param {string} dirPath - Attachments directory
+ * @returns {Map} Map of filename -> { path, size }
+ */
+export function loadAttachmentsDir(dirPath) {
+    const attachmentFiles = new Map();
+    if (!dirPath) return attachmentFiles;
+
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        if (!entry.isFile()) continue;
+        const filePath = path.join(dirPath, entry.name);
+        attachmentFiles.set(entry.name, {
+            path: filePath,
+            size: fs.statSync(filePath).size
+        });
+    }
+
+    return attachmentFiles;
+}
+
+// Limits on a ZIP upload, checked against its directory before anything is inflated (zip bombs)
+export const ARCHIVE_LIMITS = {
+    maxEntries: 5000,
+    maxTotalSize: 500 * 1024 * 1024 // 500MB uncompressed
+};
+
+/**
+ * Split a ZIP upload into its data file and attachments
+ * Attachments are keyed by filename only, so files in subfolders still match. The entry count and the
+ * uncompressed sizes the ZIP declares are checked first; fflate inflates each entry into a buffer of its
+ * declared size, so an entry cannot expand beyond it.
+ * @param {Uint8Array} buffer - ZIP file contents
+ * @param {Object} [limits] - { maxEntries, maxTotalSize }, defaults to ARCHIVE_LIMITS
+ * @returns {Object} { dataFile: { filename, buffer } | null, attachmentFiles: Map }
+ */
+export function readArchive(buffer, { maxEntries, maxTotalSize } = ARCHIVE_LIMITS) {
+    let entryCount = 0;
+    let totalSize = 0;
+    const entries = unzipSync(buffer, {
+        filter: (file) => {
+            if (++entryCount > maxEntries) {
+                throw new Error(`the archive has more than ${maxEntries} entries`);
+            }
+            totalSize += file.compression === 0 ? file.size : file.originalSize;
+            if (totalSize > maxTotalSize) {
+                throw new Error(`the archive unpacks to more than ${formatFileSize(maxTotalSize)}`);
+            }
+            return true;
+        }
+    });
+    const attachmentFiles = new Map();
+    let dataFile = null;
+
+    for (const [entryPath, content] of Object.entries(entries)) {
+        // Skip folders and macOS metadata
+        if (entryPath.endsWith('/') || entryPath.startsWith('__MACOSX/')) continue;
+
+        const filename = path.posix.basename(entryPath);
+        if (filename.startsWith('.')) continue;
+
+        if (!dataFile && DATA_FILE_REGEX.test(filename)) {
+            dataFile = { filename, buffer: content };
+        } else {
+            attachmentFiles.set(filename, { buffer: content, size: content.length });
+        }
+    }
+
+    return { dataFile, attachmentFiles };
+}
+
+/**
+ * Get a Blob for an attachment held in memory or on disk
+ * Files on disk are opened lazily so they are not read until generation needs them
+ * @param {Object} attachment - Attachment entry ({ buffer } or { path })
+ * @returns {Promise<Blob|null>} Attachment data
+ */
+export async function readAttachmentBlob(attachment) {
+    if (!attachment) return null;
+    if (attachment.buffer) return new Blob([attachment.buffer]);
+    if (fs.openAsBlob) return fs.openAsBlob(attachment.path);
+    return new Blob([fs.readFileSync(attachment.path)]);
+}
+
+/**
+ * Parse, validate and (if valid) generate XML batches for a data file
+ * @param {Object} options - Pipeline options
+ * @param {Uint8Array} options.buffer - Excel/CSV file contents, or a STAMPS XML file to regenerate
+ * @param {string} options.filename - Original filename
+ * @param {Map} options.attachmentFiles - Map of filename -> attachment entry (attachments embedded in
+ *   a STAMPS XML file are added unless a file of the same name is given)
+ * @param {string[]} [options.sheets] - Sheets to read (default: the detected data sheet)
+ * @param {Function} [options.onProgress] - Generation progress callback
+ * @returns {Object} { parsed, validation, batches, schemaViolations } - batches is null when validation
+ *   fails or a generated batch breaks the STAMPS schema (listed in schemaViolations)
+ */
+export async function runPipeline({ buffer, filename, attachmentFiles, sheets, onProgress }) {
+    const parsed = isStampsXml(filename)
+        ? parseStampsXml(buffer, filename)
+        : await parseFile(buffer, filename, { sheets });
+
+    for (const attachment of parsed.attachments || []) {
+        if (!attachmentFiles.has(attachment.filename)) {
+            attachmentFiles.set(attachment.filename, { buffer: attachment.data, size: attachment.data.length });
+        }
+    }
+
+    const validation = await validateAll(parsed.mappedData, attachmentFiles, {
+        getAttachmentBlob: (name) => readAttachmentBlob(attachmentFiles.get(name))
+    });
+
+    if (parsed.mappedData.length === 0 || !validation.valid) {
+        return { parsed, validation, batches: null, schemaViolations: [] };
+    }
+
+    const batches = await generateXml(
+        parsed.mappedData,
+        attachmentFiles,
+        (name) => readAttachmentBlob(attachmentFiles.get(name)),
+        onProgress
+    );
+
+    const schemaViolations = await checkBatches(batches);
+    if (schemaViolations.length > 0) {
+        return { parsed, validation, batches: null, schemaViolations };
+    }
+
+    return { parsed, validation, batches, schemaViolations };
+}
@@ -3,23 +3,64 @@
  * Simplified single-page workflow
  */
 
-import { parseFile, getPreviewHeaders, getPreviewRow } from './parser.js';
-import { validateAll } from './validator.js';
-import { generateXml, formatFileSize } from './generator.js';
+import { mapRows, attachLinkedRows, detectDataSheet } from './parser.js';
+import { isStampsXml } from './xml-import.js';
+import { getMappableFields, suggestMapping, getHeaderSignature, applyProfileMapping } from './column-mapping.js';
+import { MANDATORY_FIELDS } from './validation-rules.js';
+import { getFieldDisplayName, validateRecord } from './validator.js';
+import { getGridColumns, getFieldValue, setFieldValue, getIssueField } from './data-editor.js';
+import { buildReportCsv } from './validation-report.js';
+import { estimateDuty, summarizeDuty, formatDuty } from './stamp-duty.js';
+import { formatFileSize } from './generator.js';
+import { extractArchive, isArchive } from './archive.js';
+import { runTask } from './worker-client.js';
+import { REFERENCE_TABLES } from './reference-data.js';
 
 // Application State
 const state = {
     currentStep: 1,
     excelFile: null,
     excelData: null,
+    excelSha256: null,
     parsedData: null,
+    rowNumbers: [],
+    linkedRows: null,
+    importWarnings: [],
+    sheets: [],
+    selectedSheets: [],
+    headers: [],
+    columnMap: {},
+    mappingProfiles: [],
+    activeProfile: null,
     mappedData: null,
+    gridEdits: new Map(),
+    gridColumns: [],
+    previewPage: 0,
+    rowIssues: new Map(),
     validationResults: null,
     generatedFiles: [],
     requiredAttachments: [],
     attachmentFiles: new Map(),
     matchedCount: 0,
-    missingCount: 0
+    missingCount: 0,
+    generationTask: null,
+    projects: [],
+    currentProject: null,
+    historyProject: null
+};
+
+// Name of the combined download
+const OUTPUT_ZIP_NAME = 'STAMPS_Output.zip';
+
+// Records per page of the preview grid
+const PREVIEW_PAGE_SIZE = 100;
+
+// Generation statuses recorded in the project history
+const GENERATION_STATUS_LABELS = {
+    completed: 'Completed',
+    schema_failed: 'Schema check failed',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
 };
 
 // DOM Elements
@@ -31,6 +72,7 @@ const elements = {};
 async function init() {
     cacheElements();
     bindEvents();
+    await showProjects();
     console.log('STAMPS Bulk Generator initialized');
 }
 
@@ -38,7 +80,30 @@ async function init() {
  * Cache DOM elements
  */
 function cacheElements() {
+    // Projects
+    elements.projectsView = document.getElementById('projects-view');
+    elements.projectsGrid = document.getElementById('projects-grid');
+    elements.projectsEmpty = document.getElementById('projects-empty');
+    elements.newProjectBtn = document.getElementById('new-project-btn');
+    elements.skipProject = document.getElementById('skip-project');
+    elements.newProjectModal = document.getElementById('new-project-modal');
+    elements.newProjectClose = document.getElementById('new-project-close');
+    elements.newProjectCancel = document.getElementById('new-project-cancel');
+    elements.projectName = document.getElementById('project-name');
+    elements.projectFolder = document.getElementById('project-folder');
+    elements.createProject = document.getElementById('create-project');
+    elements.projectBar = document.getElementById('project-bar');
+    elements.projectBarName = document.getElementById('project-bar-name');
+    elements.backToProjects = document.getElementById('back-to-projects');
+    elements.projectHistoryBtn = document.getElementById('project-history-btn');
+    elements.projectHistoryModal = document.getElementById('project-history-modal');
+    elements.projectHistoryTitle = document.getElementById('project-history-title');
+    elements.projectHistoryList = document.getElementById('project-history-list');
+    elements.projectHistoryClose = document.getElementById('project-history-close');
+
     // Steps
+    elements.stepsIndicator = document.querySelector('.steps-indicator');
+    elements.stepContentsContainer = document.querySelector('.step-contents');
     elements.steps = document.querySelectorAll('.step');
     elements.stepContents = document.querySelectorAll('.step-content');
 
@@ -46,9 +111,20 @@ function cacheElements() {
     elements.excelPath = document.getElementById('excel-path');
     elements.selectExcelBtn = document.getElementById('select-excel-btn');
     elements.excelCard = document.getElementById('excel-card');
+    elements.sheetSection = document.getElementById('sheet-section');
+    elements.sheetList = document.getElementById('sheet-list');
+    elements.mappingSection = document.getElementById('mapping-section');
+    elements.mappingSummary = document.getElementById('mapping-summary');
+    elements.mappingProfileSelect = document.getElementById('mapping-profile-select');
+    elements.mappingProfileName = document.getElementById('mapping-profile-name');
+    elements.saveMappingProfile = document.getElementById('save-mapping-profile');
+    elements.deleteMappingProfile = document.getElementById('delete-mapping-profile');
+    elements.mappingBody = document.getElementById('mapping-body');
+    elements.mappingMissing = document.getElementById('mapping-missing');
     elements.attachmentsSection = document.getElementById('attachments-section');
     elements.requiredCount = document.getElementById('required-count');
     elements.selectAttachmentsBtn = document.getElementById('select-attachments-btn');
+    elements.requiredFilesContainer = document.getElementById('required-files-container');
     elements.requiredFilesList = document.getElementById('required-files-list');
     elements.matchedCount = document.getElementById('matched-count');
     elements.missingCount = document.getElementById('missing-count');
@@ -58,8 +134,13 @@ function cacheElements() {
     elements.totalRecords = document.getElementById('total-records');
     elements.totalAttachments = document.getElementById('total-attachments');
     elements.estimatedSize = document.getElementById('estimated-size');
+    elements.estimatedDuty = document.getElementById('estimated-duty');
     elements.previewHeader = document.getElementById('preview-header');
     elements.previewBody = document.getElementById('preview-body');
+    elements.previewPrev = document.getElementById('preview-prev');
+    elements.previewNext = document.getElementById('preview-next');
+    elements.previewPage = document.getElementById('preview-page');
+    elements.exportData = document.getElementById('export-data');
     elements.backStep1 = document.getElementById('back-step-1');
     elements.proceedStep3 = document.getElementById('proceed-step-3');
 
@@ -70,21 +151,38 @@ function cacheElements() {
     elements.errorCount = document.getElementById('error-count');
     elements.warningCount = document.getElementById('warning-count');
     elements.errorsList = document.getElementById('errors-list');
+    elements.downloadReportXlsx = document.getElementById('download-report-xlsx');
+    elements.downloadReportCsv = document.getElementById('download-report-csv');
+    elements.downloadAnnotated = document.getElementById('download-annotated');
     elements.backStep2 = document.getElementById('back-step-2');
     elements.runValidation = document.getElementById('run-validation');
     elements.proceedStep4 = document.getElementById('proceed-step-4');
 
     // Step 4
     elements.generationStatus = document.getElementById('generation-status');
+    elements.generationStatusText = document.getElementById('generation-status-text');
     elements.generationProgress = document.getElementById('generation-progress');
     elements.generationComplete = document.getElementById('generation-complete');
+    elements.generationFailed = document.getElementById('generation-failed');
+    elements.archiveWarning = document.getElementById('archive-warning');
+    elements.schemaSummary = document.getElementById('schema-summary');
+    elements.schemaErrorsList = document.getElementById('schema-errors-list');
+    elements.retryGeneration = document.getElementById('retry-generation');
     elements.progressBar = document.getElementById('progress-bar');
     elements.progressText = document.getElementById('progress-text');
+    elements.cancelGeneration = document.getElementById('cancel-generation');
     elements.generatedFiles = document.getElementById('generated-files');
     elements.backStep3 = document.getElementById('back-step-3');
     elements.startGeneration = document.getElementById('start-generation');
+    elements.downloadZip = document.getElementById('download-zip');
     elements.startNew = document.getElementById('start-new');
 
+    // Code reference
+    elements.codeReferenceBtn = document.getElementById('code-reference-btn');
+    elements.codeReferenceModal = document.getElementById('code-reference-modal');
+    elements.codeReferenceClose = document.getElementById('code-reference-close');
+    elements.codeReferenceBody = document.getElementById('code-reference-body');
+
     // File inputs (hidden)
     elements.excelFileInput = document.getElementById('excel-file-input');
     elements.pdfFileInput = document.getElementById('pdf-file-input');
@@ -94,12 +192,51 @@ function cacheElements() {
  * Bind event listeners
  */
 function bindEvents() {
+    // Projects
+    elements.newProjectBtn.addEventListener('click', showNewProjectModal);
+    elements.skipProject.addEventListener('click', () => openProject(null));
+    elements.newProjectClose.addEventListener('click', hideNewProjectModal);
+    elements.newProjectCancel.addEventListener('click', hideNewProjectModal);
+    elements.createProject.addEventListener('click', createProject);
+    elements.projectName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') createProject();
+    });
+    elements.backToProjects.addEventListener('click', leaveProject);
+    elements.projectHistoryBtn.addEventListener('click', () => showProjectHistory(state.currentProject));
+    elements.projectHistoryClose.addEventListener('click', () => {
+        elements.projectHistoryModal.classList.remove('active');
+    });
+    elements.projectHistoryList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-regenerate]');
+        if (button) regenerateBatch(parseInt(button.dataset.generation), button.dataset.regenerate);
+    });
+
+    // Code reference
+    elements.codeReferenceBtn.addEventListener('click', showCodeReference);
+    elements.codeReferenceClose.addEventListener('click', () => {
+        elements.codeReferenceModal.classList.remove('active');
+    });
+
     // Step 1 - File inputs
     elements.selectExcelBtn.addEventListener('click', () => {
         elements.excelFileInput.click();
     });
     elements.excelFileInput.addEventListener('change', handleExcelUpload);
 
+    // Sheet picker
+    elements.sheetList.addEventListener('change', handleSheetSelection);
+
+    // Column mapping
+    elements.mappingProfileSelect.addEventListener('change', handleProfileSelect);
+    elements.saveMappingProfile.addEventListener('click', saveMappingProfile);
+    elements.deleteMappingProfile.addEventListener('click', deleteMappingProfile);
+    elements.mappingBody.addEventListener('change', (e) => {
+        if (e.target.matches('select[data-header]')) {
+            state.columnMap[e.target.dataset.header] = e.target.value;
+            applyColumnMap();
+        }
+    });
+
     // Attachment file selection
     if (elements.selectAttachmentsBtn) {
         elements.selectAttachmentsBtn.addEventListener('click', () => {
@@ -110,32 +247,463 @@ function bindEvents() {
         elements.pdfFileInput.addEventListener('change', handleAttachmentUpload);
     }
 
+    // Attachment files or ZIP dropped onto the required files list
+    if (elements.requiredFilesContainer) {
+        elements.requiredFilesContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.requiredFilesContainer.classList.add('drag-over');
+        });
+        elements.requiredFilesContainer.addEventListener('dragleave', () => {
+            elements.requiredFilesContainer.classList.remove('drag-over');
+        });
+        elements.requiredFilesContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.requiredFilesContainer.classList.remove('drag-over');
+            addAttachmentFiles(e.dataTransfer.files);
+        });
+    }
+
     elements.proceedStep2.addEventListener('click', () => goToStep(2));
 
     // Step 2
     elements.backStep1.addEventListener('click', () => goToStep(1));
     elements.proceedStep3.addEventListener('click', () => goToStep(3));
+    elements.previewPrev.addEventListener('click', () => showPreviewPage(state.previewPage - 1));
+    elements.previewNext.addEventListener('click', () => showPreviewPage(state.previewPage + 1));
+    elements.exportData.addEventListener('click', exportData);
+    elements.previewBody.addEventListener('click', (e) => {
+        const cell = e.target.closest('td[data-field]');
+        if (cell && !cell.querySelector('input')) editCell(cell);
+    });
 
     // Step 3
     elements.backStep2.addEventListener('click', () => goToStep(2));
     elements.runValidation.addEventListener('click', runValidation);
+    elements.downloadReportXlsx.addEventListener('click', () => downloadValidationReport('xlsx'));
+    elements.downloadReportCsv.addEventListener('click', () => downloadValidationReport('csv'));
+    elements.downloadAnnotated.addEventListener('click', downloadAnnotatedWorkbook);
     elements.proceedStep4.addEventListener('click', () => goToStep(4));
 
     // Step 4
     elements.backStep3.addEventListener('click', () => goToStep(3));
     elements.startGeneration.addEventListener('click', startGeneration);
+    elements.cancelGeneration.addEventListener('click', cancelGeneration);
+    elements.retryGeneration.addEventListener('click', resetGeneration);
     if (elements.startNew) {
         elements.startNew.addEventListener('click', resetApp);
     }
 }
 
+/**
+ * Show the projects home screen
+ */
+async function showProjects() {
+    elements.projectsView.classList.remove('hidden');
+    elements.projectBar.classList.add('hidden');
+    elements.stepsIndicator.classList.add('hidden');
+    elements.stepContentsContainer.classList.add('hidden');
+
+    await loadProjects();
+    renderProjects();
+}
+
+/**
+ * Load projects, most recently used first
+ */
+async function loadProjects() {
+    try {
+        const res = await fetch('/api/projects');
+        state.projects = await res.json();
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        state.projects = [];
+    }
+}
+
+/**
+ * Render the project cards
+ */
+function renderProjects() {
+    elements.projectsEmpty.style.display = state.projects.length === 0 ? '' : 'none';
+
+    elements.projectsGrid.innerHTML = state.projects.map(project => `
+        <div class="project-card" data-id="${project.id}">
+            <div class="project-card-header">
+                <div class="project-card-icon">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+                    </svg>
+                </div>
+                <div class="project-card-actions">
+                    ${project.legacy_folder_path ? `
+                    <button class="project-card-action" data-action="folder" title="Set workspace folder">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9" />
+                            <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z" />
+                        </svg>
+                    </button>` : ''}
+                    <button class="project-card-action" data-action="history" title="Generation history">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10" />
+                            <polyline points="12 6 12 12 16 14" />
+                        </svg>
+                    </button>
+                    <button class="project-card-action" data-action="delete" title="Delete project">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6" />
+                            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+            <h3>${escapeHtml(project.name)}</h3>
+            ${project.legacy_folder_path
+                ? `<div class="project-card-path legacy" title="Absolute folders are no longer allowed: set a folder inside the workspaces folder">${escapeHtml(project.legacy_folder_path)} - set a new folder</div>`
+                : `<div class="project-card-path">${escapeHtml(project.folder_path || 'No folder set')}</div>`}
+            <div class="project-card-meta">
+                <span>Created ${formatDate(project.created_at)}</span>
+                <span>Last used ${formatDate(project.last_used)}</span>
+            </div>
+        </div>
+    `).join('');
+
+    elements.projectsGrid.querySelectorAll('.project-card').forEach(card => {
+        const project = state.projects.find(p => p.id === parseInt(card.dataset.id));
+        card.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'history') {
+                showProjectHistory(project);
+            } else if (action === 'folder') {
+                setProjectFolder(project);
+            } else if (action === 'delete') {
+                deleteProject(project);
+            } else {
+                openProject(project);
+            }
+        });
+    });
+}
+
+/**
+ * Show the new project form
+ */
+function showNewProjectModal() {
+    elements.projectName.value = '';
+    elements.projectFolder.value = '';
+    elements.newProjectModal.classList.add('active');
+    elements.projectName.focus();
+}
+
+/**
+ * Close the new project form
+ */
+function hideNewProjectModal() {
+    elements.newProjectModal.classList.remove('active');
+}
+
+/**
+ * Create a project from the form and open it
+ */
+async function createProject() {
+    const name = elements.projectName.value.trim();
+    if (!name) {
+        alert('Enter a client or matter name for the project');
+        elements.projectName.focus();
+        return;
+    }
+
+    try {
+        const res = await fetch('/api/projects', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, folderPath: elements.projectFolder.value.trim() })
+        });
+        const result = await res.json();
+
+        if (result.error) {
+            alert('Error creating project: ' + result.error);
+            return;
+        }
+
+        hideNewProjectModal();
+        await loadProjects();
+        openProject(state.projects.find(p => p.id === result.id) || null);
+    } catch (error) {
+        console.error('Error creating project:', error);
+        alert('Error creating project: ' + error.message);
+    }
+}
+
+/**
+ * Set the workspace folder of a project saved with an absolute folder
+ * @param {Object} project - Project
+ */
+async function setProjectFolder(project) {
+    const folderPath = prompt(
+        `"${project.name}" used the folder ${project.legacy_folder_path}, which is no longer allowed. ` +
+        'Move its files into the workspaces folder and enter the folder name relative to it (e.g. ABC Holdings/Block B):'
+    );
+    if (!folderPath || !folderPath.trim()) return;
+
+    try {
+        const res = await fetch(`/api/projects/${project.id}/folder`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ folderPath: folderPath.trim() })
+        });
+        const result = await res.json();
+
+        if (result.error) {
+            alert('Error setting the project folder: ' + result.error);
+            return;
+        }
+
+        await loadProjects();
+        renderProjects();
+    } catch (error) {
+        console.error('Error setting the project folder:', error);
+        alert('Error setting the project folder: ' + error.message);
+    }
+}
+
+/**
+ * Delete a project and its generation history
+ * @param {Object} project - Project
+ */
+async function deleteProject(project) {
+    if (!confirm(`Delete project "${project.name}" and its generation history?`)) return;
+
+    try {
+        await fetch(`/api/projects/${project.id}`, { method: 'DELETE' });
+        await loadProjects();
+        renderProjects();
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        alert('Error deleting project: ' + error.message);
+    }
+}
+
+/**
+ * Start a run in a project (or without one, when project is null - nothing is recorded)
+ * @param {Object|null} project - Project
+ */
+function openProject(project) {
+    state.currentProject = project;
+    if (project) {
+        fetch(`/api/projects/${project.id}/touch`, { method: 'PUT' })
+            .catch(error => console.error('Error updating project:', error));
+    }
+
+    resetApp();
+
+    elements.projectBarName.textContent = project ? project.name : 'No project - this run will not be recorded';
+    elements.projectHistoryBtn.style.display = project ? '' : 'none';
+    elements.projectsView.classList.add('hidden');
+    elements.projectBar.classList.remove('hidden');
+    elements.stepsIndicator.classList.remove('hidden');
+    elements.stepContentsContainer.classList.remove('hidden');
+}
+
+/**
+ * Go back to the projects screen, cancelling a running generation
+ */
+async function leaveProject() {
+    if (state.mappedData && !state.generationTask && !confirm('Leave this run? The loaded data will be cleared.')) return;
+
+    if (state.generationTask) {
+        state.generationTask.cancel();
+    }
+    resetApp();
+    state.currentProject = null;
+    await showProjects();
+}
+
+/**
+ * Show the generation history of a project
+ * @param {Object} project - Project
+ */
+async function showProjectHistory(project) {
+    if (!project) return;
+    state.historyProject = project;
+
+    elements.projectHistoryTitle.textContent = `Generation History - ${project.name}`;
+    elements.projectHistoryList.innerHTML = '<p class="text-muted">Loading...</p>';
+    elements.projectHistoryModal.classList.add('active');
+
+    try {
+        const res = await fetch(`/api/generations/${project.id}`);
+        const generations = await res.json();
+
+        if (generations.length === 0) {
+            elements.projectHistoryList.innerHTML = '<p class="text-muted">No generations yet. Runs are recorded here when XML generation finishes.</p>';
+            return;
+        }
+
+        elements.projectHistoryList.innerHTML = generations.map(generation => `
+            <div class="history-item">
+                <div class="history-item-info">
+                    <div class="history-item-icon ${generation.status === 'completed' ? '' : 'failed'}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            ${generation.status === 'completed'
+                                ? '<polyline points="20 6 9 17 4 12" />'
+                                : '<line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" />'}
+                        </svg>
+                    </div>
+                    <div class="history-item-details">
+                        <h4>${escapeHtml(GENERATION_STATUS_LABELS[generation.status] || generation.status)}</h4>
+                        <div class="history-item-meta">${formatDate(generation.created_at, true)}${renderGenerationSource(generation)}</div>
+                    </div>
+                </div>
+                <div class="history-item-stats">
+                    <span>${generation.records_count} records</span>
+                    <span>${generation.batches_count} batch${generation.batches_count === 1 ? '' : 'es'}</span>
+                </div>
+                ${renderGenerationFiles(generation)}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading generation history:', error);
+        elements.projectHistoryList.innerHTML = `<p class="text-error">Could not load the history: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Source file, its hash and the validation outcome of a stored generation, for the history meta line
+ * @param {Object} generation - Generation entry
+ * @returns {string} HTML (empty for entries without provenance)
+ */
+function renderGenerationSource(generation) {
+    const parts = [];
+    if (generation.source_file) {
+        parts.push(escapeHtml(generation.source_file));
+    }
+    if (generation.source_sha256) {
+        parts.push(`<span title="SHA-256 ${escapeHtml(generation.source_sha256)}">SHA-256 ${escapeHtml(generation.source_sha256.slice(0, 12))}…</span>`);
+    }
+    if (generation.validation) {
+        parts.push(`${generation.validation.errorCount} errors, ${generation.validation.warningCount} warnings`);
+    }
+    return parts.map(part => ` • ${part}`).join('');
+}
+
+/**
+ * Stored files of a generation: each batch with download and regenerate, plus the manifest and validation result
+ * @param {Object} generation - Generation entry
+ * @returns {string} HTML (empty when nothing was stored)
+ */
+function renderGenerationFiles(generation) {
+    const fileUrl = (filename) => `/api/generations/${generation.id}/files/${encodeURIComponent(filename)}`;
+    const batches = generation.batches || [];
+    if (batches.length === 0 && !generation.has_manifest && !generation.has_validation) return '';
+
+    return `
+        <div class="history-item-files">
+            ${batches.map(batch => `
+                <div class="history-file">
+                    <a href="${fileUrl(batch.filename)}" download="${escapeHtml(batch.filename)}">${escapeHtml(batch.filename)}</a>
+                    <span class="history-file-meta">${formatFileSize(batch.size)}${batch.record_count !== null ? ` • ${batch.record_count} records` : ''}</span>
+                    <button class="btn btn-outline btn-sm" data-generation="${generation.id}" data-regenerate="${escapeHtml(batch.filename)}">Regenerate</button>
+                </div>
+            `).join('')}
+            <div class="history-file">
+                ${generation.has_manifest ? `<a href="${fileUrl('manifest.json')}" download="manifest.json">manifest.json</a>` : ''}
+                ${generation.has_validation ? `<a href="${fileUrl('validation.json')}" download="validation.json">validation.json</a>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Start a new run in the history's project from a stored batch: its records and embedded attachments
+ * are loaded as if the XML file had been selected, ready to correct, validate and generate again
+ * @param {number} generationId - Generation id
+ * @param {string} filename - Batch filename
+ */
+async function regenerateBatch(generationId, filename) {
+    const project = state.historyProject;
+    if (state.mappedData && !confirm('Replace the data loaded in this run with the stored batch?')) return;
+
+    try {
+        const res = await fetch(`/api/generations/${generationId}/files/${encodeURIComponent(filename)}`);
+        if (!res.ok) {
+            const result = await res.json();
+            alert('Error loading batch: ' + result.error);
+            return;
+        }
+        const blob = await res.blob();
+
+        elements.projectHistoryModal.classList.remove('active');
+        openProject(project);
+        await loadDataFile(new File([blob], filename, { type: 'application/xml' }));
+    } catch (error) {
+        console.error('Error loading batch:', error);
+        alert('Error loading batch: ' + error.message);
+    }
+}
+
+/**
+ * Record a generation run in its project's history (runs without a project are not recorded)
+ * The server keeps the provenance of the run and, for completed runs, the batch files and manifest
+ * @param {Object|null} project - Project the run belongs to
+ * @param {string} status - Key of GENERATION_STATUS_LABELS
+ * @param {number} recordsCount - Records in the run
+ * @param {number} batchesCount - XML batches generated
+ * @param {Object} details - { source, sourceSha256, columnMap, validation, batches?, manifest? }
+ * @returns {Promise<string|null>} Why the run could not be recorded, or null if it was (or has no project)
+ */
+async function recordGeneration(project, status, recordsCount, batchesCount, details) {
+    if (!project) return null;
+
+    const { batches = [], ...info } = details;
+    const formData = new FormData();
+    formData.append('projectId', project.id);
+    formData.append('recordsCount', recordsCount);
+    formData.append('batchesCount', batchesCount);
+    formData.append('status', status);
+    formData.append('details', JSON.stringify(info));
+    for (const batch of batches) {
+        formData.append('batches', batch.content, batch.filename);
+    }
+
+    try {
+        const res = await fetch('/api/generations', { method: 'POST', body: formData });
+        const result = await res.json();
+        if (!res.ok || result.error) {
+            throw new Error(result.error || `Server responded ${res.status}`);
+        }
+        return null;
+    } catch (error) {
+        // The run itself succeeded or failed already; only the history entry is lost
+        console.error('Error recording generation:', error);
+        return error.message;
+    }
+}
+
+/**
+ * Warn on the completion screen when the run's files could not be stored in the project
+ * @param {string|null} error - Result of recordGeneration
+ */
+function showArchiveWarning(error) {
+    if (!error) return;
+    elements.archiveWarning.textContent = `The files were generated, but could not be saved to the project history (${error}). ` +
+        'Keep the downloaded files as the record of what was sent.';
+    elements.archiveWarning.style.display = 'block';
+}
+
 /**
  * Handle Excel file upload
  */
 async function handleExcelUpload(e) {
     const file = e.target.files[0];
     if (!file) return;
+    await loadDataFile(file);
+}
 
+/**
+ * Upload a data file (Excel/CSV or STAMPS XML), parse it and show the mapping and attachments sections
+ * @param {File} file - Data file
+ */
+async function loadDataFile(file) {
     const formData = new FormData();
     formData.append('file', file);
 
@@ -155,36 +723,18 @@ async function handleExcelUpload(e) {
         console.log('File uploaded successfully, parsing...');
         state.excelFile = result.filename;
         state.excelData = result.data;
+        state.excelSha256 = result.sha256 || null;
 
-        // Decode base64 and parse
-        const binary = atob(result.data);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
-
-        console.log('Calling parseFile...');
-        const parsed = await parseFile(bytes.buffer, result.filename);
-        console.log('Parsed data:', parsed);
-
-        state.parsedData = parsed.rows;
-        state.mappedData = parsed.mappedData;
+        await parseExcelData(null);
 
         elements.excelPath.textContent = result.filename;
         elements.excelCard.classList.add('selected');
 
-        // Extract required attachments from parsed data
-        extractRequiredAttachments();
-
-        // Show attachments section
+        // Show mapping and attachments sections
+        elements.mappingSection.style.display = 'block';
         if (elements.attachmentsSection) {
             elements.attachmentsSection.style.display = 'block';
         }
-
-        // Render the required files list
-        renderRequiredFilesList();
-
-        updateProceedButton();
     } catch (error) {
         console.error('Upload/Parse error:', error);
         console.error('Error stack:', error.stack);
@@ -192,18 +742,311 @@ async function handleExcelUpload(e) {
     }
 }
 
+/**
+ * Parse the uploaded file in the worker and map its columns
+ * @param {string[]|null} sheets - Sheets to read, or null for the detected data sheet
+ */
+async function parseExcelData(sheets) {
+    // Decode base64 and parse
+    const binary = atob(state.excelData);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    elements.excelPath.textContent = `Reading ${state.excelFile}...`;
+    let parsed;
+    try {
+        parsed = await runTask('parse', {
+            buffer: bytes.buffer,
+            filename: state.excelFile,
+            sheets
+        }, { transfer: [bytes.buffer] }).promise;
+    } finally {
+        elements.excelPath.textContent = state.excelFile;
+    }
+
+    state.parsedData = parsed.rows;
+    state.gridEdits = new Map();
+    state.rowNumbers = parsed.rowNumbers;
+    state.linkedRows = parsed.linkedRows;
+    state.importWarnings = parsed.warnings || [];
+    state.headers = parsed.headers;
+    state.sheets = parsed.sheets;
+    state.selectedSheets = parsed.selectedSheets;
+
+    // Attachments embedded in an imported STAMPS XML
+    for (const attachment of parsed.attachments || []) {
+        storeAttachment(attachment.filename, new File([attachment.data], attachment.filename), state.excelFile);
+    }
+
+    // The marked-up workbook is a copy of an uploaded spreadsheet
+    elements.downloadAnnotated.style.display = isStampsXml(state.excelFile) ? 'none' : '';
+
+    renderSheetList();
+
+    // Map columns using a saved profile for this header layout, or suggestions
+    await loadMappingProfiles();
+    const profile = state.mappingProfiles.find(p =>
+        p.header_signature === getHeaderSignature(state.headers)
+    );
+    if (profile) {
+        selectMappingProfile(profile);
+        fetch(`/api/mapping-profiles/${profile.id}/touch`, { method: 'PUT' })
+            .catch(error => console.error('Error updating profile:', error));
+    } else {
+        selectMappingProfile(null);
+    }
+}
+
+/**
+ * Render the sheet picker (only shown for workbooks with several sheets)
+ */
+function renderSheetList() {
+    elements.sheetSection.style.display = state.sheets.length > 1 ? 'block' : 'none';
+
+    const detected = detectDataSheet(state.sheets);
+    elements.sheetList.innerHTML = state.sheets.map(sheet => `
+        <label class="sheet-item">
+            <input type="checkbox" value="${escapeHtml(sheet.name)}"
+                ${state.selectedSheets.includes(sheet.name) ? 'checked' : ''}
+                ${sheet.rowCount === 0 || sheet.isParties || sheet.isAttachments ? 'disabled' : ''}>
+            <span class="sheet-name">${escapeHtml(sheet.name)}</span>
+            ${sheet.name === detected ? '<span class="sheet-badge">Best match</span>' : ''}
+            <span class="sheet-meta">
+                ${sheet.rowCount} row${sheet.rowCount !== 1 ? 's' : ''} •
+                ${sheet.isParties ? 'additional parties, linked by Ref No'
+                    : sheet.isAttachments ? 'additional attachments, linked by Ref No'
+                    : `${sheet.matchCount} of ${sheet.headers.length} columns match the template`}
+            </span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Re-parse with the ticked sheets
+ */
+async function handleSheetSelection() {
+    const sheets = [...elements.sheetList.querySelectorAll('input:checked')].map(input => input.value);
+    if (sheets.length === 0) {
+        alert('Select at least one sheet');
+        renderSheetList();
+        return;
+    }
+    if (state.gridEdits.size > 0 &&
+        !confirm(`Reading other sheets discards the edits made in the preview grid (${state.gridEdits.size} record(s)). Continue?`)) {
+        renderSheetList();
+        return;
+    }
+
+    try {
+        await parseExcelData(sheets);
+    } catch (error) {
+        console.error('Parse error:', error);
+        alert('Error reading sheets: ' + error.message);
+    }
+}
+
+/**
+ * Load saved column mapping profiles
+ */
+async function loadMappingProfiles() {
+    try {
+        const res = await fetch('/api/mapping-profiles');
+        state.mappingProfiles = await res.json();
+    } catch (error) {
+        console.error('Error loading mapping profiles:', error);
+        state.mappingProfiles = [];
+    }
+}
+
+/**
+ * Use a saved profile's mapping, or the suggested mapping if profile is null
+ */
+function selectMappingProfile(profile) {
+    state.activeProfile = profile;
+
+    if (profile) {
+        state.columnMap = applyProfileMapping(profile.mapping, state.headers);
+    } else {
+        const suggestions = suggestMapping(state.headers);
+        state.columnMap = Object.fromEntries(state.headers.map(header =>
+            [header, suggestions[header]?.field || '']
+        ));
+    }
+
+    renderMappingSection(profile ? {} : suggestMapping(state.headers));
+    applyColumnMap();
+}
+
+/**
+ * Handle a profile being picked from the profile list
+ */
+function handleProfileSelect() {
+    const id = parseInt(elements.mappingProfileSelect.value);
+    selectMappingProfile(state.mappingProfiles.find(p => p.id === id) || null);
+}
+
+/**
+ * Render the column mapping table and profile controls
+ * @param {Object} suggestions - Header -> suggestion from suggestMapping (empty when a profile is applied)
+ */
+function renderMappingSection(suggestions) {
+    const profile = state.activeProfile;
+
+    elements.mappingProfileSelect.innerHTML = `
+        <option value="">Suggested mapping</option>
+        ${state.mappingProfiles.map(p => `
+            <option value="${p.id}" ${profile && p.id === profile.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+        `).join('')}
+    `;
+    elements.mappingProfileName.value = profile ? profile.name : '';
+    elements.deleteMappingProfile.disabled = !profile;
+    elements.mappingSummary.textContent = profile
+        ? `Applied saved profile "${profile.name}" for this column layout`
+        : 'Match each column in your file to a STAMPS field. Suggested matches are highlighted - check them before continuing';
+
+    const sampleRow = state.parsedData.find(row => Object.values(row).some(v => v !== '')) || {};
+    const mappableFields = getMappableFields(state.headers);
+
+    elements.mappingBody.innerHTML = state.headers.map(header => {
+        const field = state.columnMap[header];
+        const suggested = suggestions[header]?.confidence === 'suggested';
+        return `
+            <tr class="${suggested ? 'suggested' : ''} ${field ? '' : 'ignored'}">
+                <td title="${escapeHtml(header)}">${escapeHtml(header)}</td>
+                <td title="${escapeHtml(sampleRow[header])}">${escapeHtml(sampleRow[header]) || '-'}</td>
+                <td>
+                    <select data-header="${escapeHtml(header)}">
+                        <option value="">— Ignore this column —</option>
+                        ${mappableFields.map(option => `
+                            <option value="${option.field}" ${option.field === field ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Map the parsed rows with the current column mapping and refresh dependent state
+ * Values edited in the preview grid are applied again, so changing the mapping keeps them.
+ */
+function applyColumnMap() {
+    state.mappedData = mapRows(state.parsedData, state.columnMap, state.rowNumbers);
+    state.previewPage = 0;
+    const unlinkedRows = attachLinkedRows(state.mappedData, state.linkedRows);
+    state.gridEdits.forEach((fields, index) => {
+        fields.forEach((value, field) => setFieldValue(state.mappedData[index], field, value));
+    });
+
+    // Required fields no column is mapped to
+    const mappedFields = new Set(Object.values(state.columnMap));
+    const unmapped = MANDATORY_FIELDS.filter(field => !mappedFields.has(field));
+    elements.mappingMissing.textContent = unmapped.length > 0
+        ? `Required fields not mapped to any column: ${unmapped.map(getFieldDisplayName).join(', ')}`
+        : '';
+
+    // Fields mapped from more than one column - the last column wins
+    const counts = {};
+    Object.values(state.columnMap).filter(Boolean).forEach(field => {
+        counts[field] = (counts[field] || 0) + 1;
+    });
+    const duplicated = Object.keys(counts).filter(field => counts[field] > 1);
+    if (duplicated.length > 0) {
+        elements.mappingMissing.textContent += `${unmapped.length > 0 ? '. ' : ''}Mapped from more than one column: ${duplicated.map(getFieldDisplayName).join(', ')}`;
+    }
+
+    // Parties/Attachments sheet rows that belong to no record
+    if (unlinkedRows.length > 0) {
+        elements.mappingMissing.textContent += `${elements.mappingMissing.textContent ? '. ' : ''}Linked sheet rows not matching a record: ${unlinkedRows.map(row => `${row.rowNumber} (${row.reason})`).join(', ')}`;
+    }
+
+    // Problems reading an imported STAMPS XML
+    if (state.importWarnings.length > 0) {
+        elements.mappingMissing.textContent += `${elements.mappingMissing.textContent ? '. ' : ''}${state.importWarnings.join('. ')}`;
+    }
+
+    // Mark ignored columns
+    elements.mappingBody.querySelectorAll('select[data-header]').forEach(select => {
+        select.closest('tr').classList.toggle('ignored', !select.value);
+    });
+
+    // Extract required attachments from mapped data
+    extractRequiredAttachments();
+
+    // Render the required files list
+    renderRequiredFilesList();
+}
+
+/**
+ * Save the current column mapping as a named profile
+ */
+async function saveMappingProfile() {
+    const name = elements.mappingProfileName.value.trim();
+    if (!name) {
+        alert('Enter a client or profile name to save this mapping');
+        elements.mappingProfileName.focus();
+        return;
+    }
+
+    try {
+        const res = await fetch('/api/mapping-profiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name,
+                headerSignature: getHeaderSignature(state.headers),
+                headers: state.headers,
+                mapping: state.columnMap
+            })
+        });
+        const result = await res.json();
+
+        if (result.error) {
+            alert('Error saving profile: ' + result.error);
+            return;
+        }
+
+        await loadMappingProfiles();
+        state.activeProfile = state.mappingProfiles.find(p => p.id === result.id) || null;
+        renderMappingSection({});
+        applyColumnMap();
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        alert('Error saving profile: ' + error.message);
+    }
+}
+
+/**
+ * Delete the selected mapping profile
+ */
+async function deleteMappingProfile() {
+    const profile = state.activeProfile;
+    if (!profile || !confirm(`Delete mapping profile "${profile.name}"?`)) return;
+
+    try {
+        await fetch(`/api/mapping-profiles/${profile.id}`, { method: 'DELETE' });
+        await loadMappingProfiles();
+        state.activeProfile = null;
+        renderMappingSection({});
+    } catch (error) {
+        console.error('Error deleting profile:', error);
+        alert('Error deleting profile: ' + error.message);
+    }
+}
+
 /**
  * Extract required attachment filenames from Excel data
  */
 function extractRequiredAttachments() {
     state.requiredAttachments = [];
-    state.attachmentFiles = new Map();
 
     if (!state.mappedData) return;
 
     state.mappedData.forEach(row => {
-        if (row.attachment && row.attachment.trim()) {
-            const filename = row.attachment.trim();
+        for (const filename of row.attachments) {
             if (!state.requiredAttachments.includes(filename)) {
                 state.requiredAttachments.push(filename);
             }
@@ -245,6 +1088,7 @@ function renderRequiredFilesList() {
 
     elements.requiredFilesList.innerHTML = state.requiredAttachments.map(filename => {
         const isMatched = state.attachmentFiles.has(filename);
+        const source = isMatched ? state.attachmentFiles.get(filename).source : null;
         return `
             <div class="required-file-item ${isMatched ? 'matched' : 'missing'}">
                 <div class="file-icon">
@@ -259,7 +1103,10 @@ function renderRequiredFilesList() {
                         </svg>
                     `}
                 </div>
-                <span class="file-name">${escapeHtml(filename)}</span>
+                <span class="file-name">
+                    ${escapeHtml(filename)}
+                    ${source ? `<span class="file-source">from ${escapeHtml(source)}</span>` : ''}
+                </span>
                 <span class="file-status">${isMatched ? '✓ Matched' : 'Missing'}</span>
             </div>
         `;
@@ -300,41 +1147,86 @@ async function handleAttachmentUpload(e) {
     const files = e.target.files;
     if (!files || files.length === 0) return;
 
-    console.log('Processing', files.length, 'attachment files...');
+    await addAttachmentFiles(files);
 
-    for (const file of files) {
-        const filename = file.name;
-
-        // Read file as base64
-        const base64 = await readFileAsBase64(file);
+    // Allow selecting the same files again
+    e.target.value = '';
+}
 
-        // Store in attachments map (use filename as key)
-        state.attachmentFiles.set(filename, {
-            data: base64,
-            file: file,
-            size: file.size
-        });
+/**
+ * Add picked or dropped attachment files (PDF/images and ZIP archives)
+ */
+async function addAttachmentFiles(files) {
+    if (elements.requiredCount) {
+        elements.requiredCount.textContent = `Adding ${files.length} file${files.length !== 1 ? 's' : ''}...`;
+    }
 
-        console.log('Added attachment:', filename);
+    const unpacked = [];
+    try {
+        for (const file of files) {
+            if (isArchive(file)) {
+                unpacked.push(await addArchiveAttachments(file));
+            } else {
+                storeAttachment(file.name, file, null);
+            }
+        }
+    } catch (error) {
+        console.error('Attachment error:', error);
+        alert('Error reading attachments: ' + error.message);
     }
 
     // Re-render the list to show matched status
     renderRequiredFilesList();
+    if (elements.requiredCount && unpacked.length > 0) {
+        elements.requiredCount.textContent += ` • ${unpacked.join(' • ')}`;
+    }
 }
 
 /**
- * Read file as base64
+ * Unpack a ZIP and store the entries that satisfy a required attachment
+ * @returns {Promise<string>} Summary of the entries used, for the attachments status
  */
-function readFileAsBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            // Remove data URL prefix to get just the base64
-            const base64 = reader.result.split(',')[1];
-            resolve(base64);
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
+async function addArchiveAttachments(archive) {
+    if (elements.requiredCount) {
+        elements.requiredCount.textContent = `Unpacking ${archive.name}...`;
+    }
+
+    const entries = await extractArchive(archive);
+    let unused = 0;
+
+    for (const entry of entries) {
+        const filename = matchRequiredAttachment(entry.path);
+        if (!filename) {
+            unused++;
+            continue;
+        }
+        storeAttachment(filename, entry.file, `${archive.name} › ${entry.path}`);
+    }
+
+    return `${archive.name}: ${entries.length - unused} matched, ${unused} not referenced`;
+}
+
+/**
+ * Find the required attachment a ZIP entry satisfies
+ * Entries may sit in subfolders, e.g. "scans/batch1/doc.pdf" satisfies "doc.pdf"
+ * @param {string} entryPath - Full path of the ZIP entry
+ * @returns {string|null} Required filename or null
+ */
+function matchRequiredAttachment(entryPath) {
+    return state.requiredAttachments.find(filename =>
+        entryPath === filename || entryPath.endsWith('/' + filename)
+    ) || null;
+}
+
+/**
+ * Store an attachment under the filename used in the Excel data
+ * Only the File reference is kept - its contents are read at generation time
+ */
+function storeAttachment(filename, file, source) {
+    state.attachmentFiles.set(filename, {
+        file: file,
+        size: file.size,
+        source
     });
 }
 
@@ -377,34 +1269,159 @@ async function goToStep(step) {
 }
 
 /**
- * Render preview table
+ * Render the preview grid: every mapped field of every record, editable in place
  */
 async function renderPreview() {
-    const headers = getPreviewHeaders();
+    state.gridColumns = getGridColumns(state.mappedData);
+    state.rowIssues = new Map(); // Attachments may have changed since the last visit
 
     // Render header
-    elements.previewHeader.innerHTML = headers.map(h => `<th>${h}</th>`).join('');
+    elements.previewHeader.innerHTML = ['Row', ...state.gridColumns.map(column => column.label), 'Est. Duty']
+        .map(h => `<th>${escapeHtml(h)}</th>`).join('');
 
-    // Render body
-    elements.previewBody.innerHTML = state.mappedData.map(row => {
-        const preview = getPreviewRow(row);
-        return `
-            <tr>
-                <td>${preview.row}</td>
-                <td>${escapeHtml(preview.refNo)}</td>
-                <td>${escapeHtml(preview.dateSigned)}</td>
-                <td>${escapeHtml(preview.transferorName)}</td>
-                <td>${escapeHtml(preview.transfereeName)}</td>
-                <td>${escapeHtml(preview.consideration)}</td>
-                <td>${escapeHtml(preview.attachment)}</td>
-            </tr>
-        `;
-    }).join('');
+    showPreviewPage(state.previewPage);
+    updatePreviewStats();
+}
+
+/**
+ * Render one page of the preview grid
+ * @param {number} page - Page index
+ */
+function showPreviewPage(page) {
+    const pageCount = Math.max(1, Math.ceil(state.mappedData.length / PREVIEW_PAGE_SIZE));
+    state.previewPage = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const start = state.previewPage * PREVIEW_PAGE_SIZE;
+    const end = Math.min(start + PREVIEW_PAGE_SIZE, state.mappedData.length);
+
+    const rows = [];
+    for (let index = start; index < end; index++) {
+        rows.push(renderPreviewRow(index));
+    }
+    elements.previewBody.innerHTML = rows.join('');
+
+    elements.previewPage.textContent = `Records ${state.mappedData.length ? start + 1 : 0}-${end} of ${state.mappedData.length}`;
+    elements.previewPrev.disabled = state.previewPage === 0;
+    elements.previewNext.disabled = state.previewPage >= pageCount - 1;
+}
+
+/**
+ * Render the grid row of a record, marking fields with validation issues
+ * @param {number} index - Record index in state.mappedData
+ * @returns {string} Row HTML
+ */
+function renderPreviewRow(index) {
+    const record = state.mappedData[index];
+    const { errors, warnings } = getRowIssues(index);
+
+    // Issue messages by grid field
+    const fieldIssues = new Map();
+    [...errors.map(issue => ({ ...issue, severity: 'error' })), ...warnings.map(issue => ({ ...issue, severity: 'warning' }))]
+        .forEach(issue => {
+            const field = getIssueField(issue);
+            if (!fieldIssues.has(field)) fieldIssues.set(field, []);
+            fieldIssues.get(field).push(issue);
+        });
+
+    const cells = state.gridColumns.map(({ field }) => {
+        const issues = fieldIssues.get(field) || [];
+        const severity = issues.some(issue => issue.severity === 'error') ? 'cell-error' : issues.length > 0 ? 'cell-warning' : '';
+        const title = issues.map(issue => issue.message).join('\n');
+        return `<td class="editable ${severity}" data-field="${escapeHtml(field)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${escapeHtml(getFieldValue(record, field))}</td>`;
+    });
+
+    // Duty is recalculated from the row's current values
+    const duty = estimateDuty(record);
+    const dutyTitle = [`Rate table ${duty.rateVersion}`, ...duty.notes].join('\n');
+
+    return `
+        <tr data-index="${index}" class="${errors.length > 0 ? 'error' : ''}">
+            <td>${escapeHtml(record._rowNumber)}</td>
+            ${cells.join('')}
+            <td class="duty-cell" title="${escapeHtml(dutyTitle)}">${formatDuty(duty.total)}</td>
+        </tr>
+    `;
+}
 
-    // Update stats
+/**
+ * Validation issues of a record, validated on first use and after each edit
+ * @param {number} index - Record index in state.mappedData
+ * @returns {Object} { errors, warnings }
+ */
+function getRowIssues(index) {
+    if (!state.rowIssues.has(index)) {
+        state.rowIssues.set(index, validateRecord(state.mappedData[index], { attachmentFiles: state.attachmentFiles }));
+    }
+    return state.rowIssues.get(index);
+}
+
+/**
+ * Replace a grid cell with an input for editing
+ * Enter or leaving the cell saves the value, Escape cancels
+ * @param {HTMLElement} cell - Grid cell
+ */
+function editCell(cell) {
+    const index = parseInt(cell.closest('tr').dataset.index, 10);
+    const field = cell.dataset.field;
+    const original = getFieldValue(state.mappedData[index], field);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = original;
+    cell.textContent = '';
+    cell.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save && input.value.trim() !== original) {
+            updateRecordField(index, field, input.value);
+        } else {
+            cell.textContent = original;
+        }
+    };
+
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+}
+
+/**
+ * Save an edited field, re-validate its record and refresh the grid row
+ * @param {number} index - Record index in state.mappedData
+ * @param {string} field - Field path
+ * @param {string} value - New value
+ */
+function updateRecordField(index, field, value) {
+    setFieldValue(state.mappedData[index], field, value);
+    if (!state.gridEdits.has(index)) state.gridEdits.set(index, new Map());
+    state.gridEdits.get(index).set(field, value);
+    state.rowIssues.delete(index);
+    state.validationResults = null;
+
+    // Uploaded attachments are kept; the required list follows the edited filenames
+    if (field === 'attachment') {
+        extractRequiredAttachments();
+        renderRequiredFilesList();
+    }
+    updatePreviewStats();
+
+    const row = elements.previewBody.querySelector(`tr[data-index="${index}"]`);
+    if (row) row.outerHTML = renderPreviewRow(index);
+}
+
+/**
+ * Update the record, attachment, size and duty summary of the preview step
+ */
+function updatePreviewStats() {
     elements.totalRecords.textContent = state.mappedData.length;
 
-    const attachmentCount = state.mappedData.filter(r => r.attachment).length;
+    const attachmentCount = state.mappedData.reduce((total, r) => total + r.attachments.length, 0);
     elements.totalAttachments.textContent = attachmentCount;
 
     // Estimate size from in-memory attachments
@@ -413,6 +1430,30 @@ async function renderPreview() {
         totalSize += attachment.size || 0;
     });
     elements.estimatedSize.textContent = formatFileSize(totalSize);
+
+    const duty = summarizeDuty(state.mappedData.map(estimateDuty));
+    elements.estimatedDuty.textContent = formatDuty(duty.total);
+    elements.estimatedDuty.title = duty.unestimatedCount > 0
+        ? `${duty.unestimatedCount} record(s) could not be estimated`
+        : 'Estimated stamp duty of all records';
+}
+
+/**
+ * Download the (corrected) records as a workbook in the template format
+ */
+async function exportData() {
+    elements.exportData.disabled = true;
+
+    try {
+        const buffer = await runTask('exportTemplate', { mappedData: state.mappedData }).promise;
+        const basename = (state.excelFile || 'STAMPS_Data').replace(/\.[^.]+$/, '');
+        downloadFile(`${basename}_corrected.xlsx`, buffer, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } catch (error) {
+        console.error('Export error:', error);
+        alert('Export failed: ' + error.message);
+    } finally {
+        elements.exportData.disabled = false;
+    }
 }
 
 /**
@@ -441,6 +1482,24 @@ function resetValidation() {
     elements.runValidation.textContent = 'Run Validation';
 }
 
+/**
+ * Ref Nos already generated in the current project, to warn before they are generated again
+ * @returns {Promise<Array>} [{ refNo, generationId, createdAt, filename }] (empty outside a project)
+ */
+async function loadPreviousRefNos() {
+    if (!state.currentProject) return [];
+
+    try {
+        const res = await fetch(`/api/generations/${state.currentProject.id}/ref-nos`);
+        if (!res.ok) throw new Error((await res.json()).error);
+        return await res.json();
+    } catch (error) {
+        // Validation still runs, without the check against earlier generations
+        console.error('Error loading previous Ref Nos:', error);
+        return [];
+    }
+}
+
 /**
  * Run validation
  */
@@ -449,11 +1508,11 @@ async function runValidation() {
     elements.runValidation.textContent = 'Validating...';
 
     try {
-        // Pass attachmentFiles Map to validator
-        state.validationResults = await validateAll(
-            state.mappedData,
-            state.attachmentFiles
-        );
+        state.validationResults = await runTask('validate', {
+            mappedData: state.mappedData,
+            attachmentFiles: state.attachmentFiles,
+            previousRefNos: await loadPreviousRefNos()
+        }).promise;
 
         const results = state.validationResults;
 
@@ -492,17 +1551,20 @@ async function runValidation() {
         elements.validationResults.style.display = 'block';
 
         // Render errors
-        const allIssues = [...results.errors, ...results.warnings];
+        const allIssues = [
+            ...results.errors.map(issue => ({ ...issue, severity: 'error' })),
+            ...results.warnings.map(issue => ({ ...issue, severity: 'warning' }))
+        ];
         elements.errorsList.innerHTML = allIssues.slice(0, 50).map(issue => `
-            <div class="error-item ${issue.errorType === 'MISSING_FIELD' || issue.errorType === 'INVALID_DATE' || issue.errorType === 'MISSING_FILE' ? 'error' : 'warning'}">
-                <span class="error-row">Row ${issue.rowNumber}</span>
-                <span class="error-field">${issue.fieldName}</span>
-                <span class="error-message">${issue.message}</span>
+            <div class="error-item ${issue.severity}">
+                <span class="error-row">Row ${escapeHtml(issue.rowNumber)}</span>
+                <span class="error-field">${escapeHtml(issue.fieldName)}</span>
+                <span class="error-message">${escapeHtml(issue.message)}</span>
             </div>
         `).join('');
 
         if (allIssues.length > 50) {
-            elements.errorsList.innerHTML += `<p class="text-muted">...and ${allIssues.length - 50} more issues</p>`;
+            elements.errorsList.innerHTML += `<p class="text-muted">...and ${allIssues.length - 50} more issues. Download the report for the full list.</p>`;
         }
 
     } catch (error) {
@@ -514,15 +1576,85 @@ async function runValidation() {
     }
 }
 
+/**
+ * Download every issue of the last validation run
+ * @param {string} format - 'xlsx' (with per-field summary) or 'csv'
+ */
+async function downloadValidationReport(format) {
+    if (!state.validationResults) return;
+
+    const basename = (state.excelFile || 'STAMPS_Data').replace(/\.[^.]+$/, '');
+    try {
+        if (format === 'csv') {
+            // BOM so Excel opens the file as UTF-8
+            const csv = '\ufeff' + buildReportCsv(state.validationResults, state.mappedData);
+            downloadFile(`${basename}_validation.csv`, csv, 'text/csv;charset=utf-8');
+        } else {
+            const buffer = await runTask('validationReport', {
+                results: state.validationResults,
+                mappedData: state.mappedData,
+                source: state.excelFile
+            }).promise;
+            downloadFile(`${basename}_validation.xlsx`, buffer, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        }
+    } catch (error) {
+        console.error('Report error:', error);
+        alert('Could not create the report: ' + error.message);
+    }
+}
+
+/**
+ * Download the uploaded workbook with the issues of the last validation run marked on it
+ * (highlighted cells with comments, an Issues column and a summary sheet)
+ */
+async function downloadAnnotatedWorkbook() {
+    if (!state.validationResults) return;
+
+    elements.downloadAnnotated.disabled = true;
+    try {
+        const res = await fetch('/api/annotated-workbook', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filename: state.excelFile,
+                data: state.excelData,
+                sheets: state.selectedSheets,
+                columnMap: state.columnMap,
+                errors: state.validationResults.errors,
+                warnings: state.validationResults.warnings
+            })
+        });
+
+        if (!res.ok) {
+            const result = await res.json();
+            alert('Error creating marked-up workbook: ' + result.error);
+            return;
+        }
+
+        const basename = (state.excelFile || 'STAMPS_Data').replace(/\.[^.]+$/, '');
+        downloadFile(`${basename}_issues.xlsx`, await res.blob(), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } catch (error) {
+        console.error('Annotated workbook error:', error);
+        alert('Error creating marked-up workbook: ' + error.message);
+    } finally {
+        elements.downloadAnnotated.disabled = false;
+    }
+}
+
 /**
  * Reset generation state
  */
 function resetGeneration() {
     elements.generationStatus.style.display = 'block';
+    elements.generationStatusText.textContent = 'Click the button below to generate STAMPS XML files';
     elements.generationProgress.style.display = 'none';
     elements.generationComplete.style.display = 'none';
+    elements.generationFailed.style.display = 'none';
+    elements.archiveWarning.style.display = 'none';
     elements.progressBar.style.width = '0%';
+    elements.progressText.textContent = 'Processing...';
     elements.startGeneration.disabled = false;
+    elements.cancelGeneration.disabled = false;
 }
 
 /**
@@ -533,65 +1665,165 @@ async function startGeneration() {
     elements.generationProgress.style.display = 'block';
     elements.startGeneration.disabled = true;
 
+    const startedAt = performance.now();
+    // The user may leave the project while the run is going
+    const project = state.currentProject;
+    const recordsCount = state.mappedData.length;
+    const provenance = {
+        source: state.excelFile,
+        sourceSha256: state.excelSha256,
+        columnMap: state.columnMap,
+        validation: state.validationResults
+    };
+
     try {
-        // Create a function to get attachment data from in-memory storage
-        const getAttachmentBase64 = (filename) => {
-            const attachment = state.attachmentFiles.get(filename);
-            return attachment ? attachment.data : '';
-        };
-
-        // Generate XML with progress
-        const batches = await generateXml(
-            state.mappedData,
-            state.attachmentFiles,
-            getAttachmentBase64,
-            (progress) => {
-                elements.progressBar.style.width = `${progress.percentage}%`;
-                elements.progressText.textContent = `Processing record ${progress.current} of ${progress.total}...`;
-            }
-        );
+        // Generate XML (and the ZIP) in the background worker
+        state.generationTask = runTask('generate', {
+            mappedData: state.mappedData,
+            attachmentFiles: state.attachmentFiles,
+            zip: elements.downloadZip.checked,
+            source: state.excelFile,
+            sourceSha256: state.excelSha256,
+            columnMap: state.columnMap
+        }, {
+            onProgress: (progress) => renderGenerationProgress(progress, startedAt)
+        });
+        const { batches, manifest, zipBlob, schemaViolations } = await state.generationTask.promise;
+
+        // Nothing is downloaded when a batch breaks the schema
+        if (schemaViolations.length > 0) {
+            showSchemaViolations(schemaViolations, batches.length);
+            recordGeneration(project, 'schema_failed', recordsCount, batches.length, provenance);
+            return;
+        }
 
         state.generatedFiles = batches;
+        state.manifest = manifest;
 
-        // Download files via browser (with delay between each to avoid popup blocker)
-        for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            if (i > 0) {
-                // Wait 500ms between downloads to avoid popup blocker
-                await new Promise(resolve => setTimeout(resolve, 500));
+        if (zipBlob) {
+            // One download containing every batch plus the manifest
+            downloadFile(OUTPUT_ZIP_NAME, zipBlob, 'application/zip');
+        } else {
+            // Download files via browser (with delay between each to avoid popup blocker)
+            for (let i = 0; i < batches.length; i++) {
+                const batch = batches[i];
+                if (i > 0) {
+                    // Wait 500ms between downloads to avoid popup blocker
+                    await new Promise(resolve => setTimeout(resolve, 500));
+                }
+                downloadFile(batch.filename, batch.content, 'application/xml');
             }
-            downloadFile(batch.filename, batch.content, 'application/xml');
         }
 
+        recordGeneration(project, 'completed', recordsCount, batches.length, { ...provenance, batches, manifest })
+            .then(showArchiveWarning);
+
         // Show completion
         elements.generationProgress.style.display = 'none';
         elements.generationComplete.style.display = 'block';
 
         // Create download links for manual download (in case auto-download was blocked)
-        elements.generatedFiles.innerHTML = batches.map((batch, idx) => {
-            const blob = new Blob([batch.content], { type: 'application/xml' });
-            const url = URL.createObjectURL(blob);
-            // Store the URL for cleanup later
-            if (!state.downloadUrls) state.downloadUrls = [];
-            state.downloadUrls.push(url);
-
-            return `
+        if (!state.downloadUrls) state.downloadUrls = [];
+        const links = batches.map(batch => ({
+            filename: batch.filename,
+            url: URL.createObjectURL(new Blob([batch.content], { type: 'application/xml' })),
+            details: `${formatFileSize(batch.size)} • ${batch.recordCount} records • Est. duty ${formatDuty(batch.duty.total)}${batch.duty.unestimatedCount > 0 ? ` (${batch.duty.unestimatedCount} not estimated)` : ''}`
+        }));
+        if (zipBlob) {
+            links.unshift({
+                filename: OUTPUT_ZIP_NAME,
+                url: URL.createObjectURL(zipBlob),
+                details: `${formatFileSize(zipBlob.size)} • ${batches.length} files + manifest`
+            });
+        }
+        // Store the URLs for cleanup later
+        state.downloadUrls.push(...links.map(link => link.url));
+
+        elements.generatedFiles.innerHTML = links.map(link => `
             <div class="generated-file">
                 <div class="generated-file-name">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
                         <polyline points="22 4 12 14.01 9 11.01"/>
                     </svg>
-                    <a href="${url}" download="${batch.filename}" style="color: inherit; text-decoration: underline;">${batch.filename}</a>
+                    <a href="${link.url}" download="${link.filename}" style="color: inherit; text-decoration: underline;">${link.filename}</a>
                 </div>
-                <div class="generated-file-size">${formatFileSize(batch.size)} • ${batch.recordCount} records</div>
+                <div class="generated-file-size">${link.details}</div>
             </div>
-        `}).join('') + `<p style="margin-top: 16px; color: var(--text-secondary);">Click file names above to download if automatic download was blocked</p>`;
+        `).join('') + `
+            <p class="duty-total">Estimated stamp duty to fund: <strong>${formatDuty(batches.reduce((sum, batch) => sum + batch.duty.total, 0))}</strong></p>
+            <p style="margin-top: 16px; color: var(--text-secondary);">Click file names above to download if automatic download was blocked</p>`;
 
     } catch (error) {
-        console.error('Generation error:', error);
-        alert('Generation failed: ' + error.message);
-        resetGeneration();
+        if (error.name === 'AbortError') {
+            recordGeneration(project, 'cancelled', recordsCount, 0, provenance);
+            resetGeneration();
+            elements.generationStatusText.textContent = 'Generation cancelled - no files were downloaded. Click the button below to start again';
+        } else {
+            console.error('Generation error:', error);
+            recordGeneration(project, 'failed', recordsCount, 0, provenance);
+            alert('Generation failed: ' + error.message);
+            resetGeneration();
+        }
+    } finally {
+        state.generationTask = null;
+    }
+}
+
+/**
+ * Show why the generated XML was blocked
+ * @param {Array} violations - Schema violations ({ batch, filename, refNo, path, message })
+ * @param {number} batchCount - Number of generated batches
+ */
+function showSchemaViolations(violations, batchCount) {
+    elements.generationProgress.style.display = 'none';
+    elements.generationFailed.style.display = 'block';
+
+    const failedBatches = new Set(violations.map(violation => violation.batch)).size;
+    elements.schemaSummary.textContent = `${violations.length} problem${violations.length === 1 ? '' : 's'} in ${failedBatches} of ${batchCount} batch${batchCount === 1 ? '' : 'es'}. No files were downloaded.`;
+
+    elements.schemaErrorsList.innerHTML = violations.map(violation => `
+        <div class="error-item error">
+            <span class="error-row">Batch ${violation.batch} (${escapeHtml(violation.filename)})</span>
+            <span class="error-field">${escapeHtml(violation.refNo || '-')}</span>
+            <span class="error-message">${escapeHtml(violation.path)}: ${escapeHtml(violation.message)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Update the progress bar, including an estimate of the time remaining
+ */
+function renderGenerationProgress(progress, startedAt) {
+    if (progress.phase === 'schema') {
+        elements.progressText.textContent = 'Checking XML against the STAMPS schema...';
+        return;
+    }
+    if (progress.phase === 'manifest') {
+        elements.progressText.textContent = 'Creating manifest...';
+        return;
+    }
+    if (progress.phase === 'zip') {
+        elements.progressText.textContent = 'Creating ZIP...';
+        return;
+    }
+
+    elements.progressBar.style.width = `${progress.percentage}%`;
+
+    const elapsed = performance.now() - startedAt;
+    const remaining = (elapsed / progress.current) * (progress.total - progress.current);
+    const eta = progress.current < progress.total ? ` • about ${formatDuration(remaining)} remaining` : '';
+    elements.progressText.textContent = `Processing record ${progress.current} of ${progress.total} (batch ${progress.currentBatch})${eta}`;
+}
+
+/**
+ * Cancel a running generation
+ */
+function cancelGeneration() {
+    if (state.generationTask) {
+        elements.progressText.textContent = 'Cancelling...';
+        elements.cancelGeneration.disabled = true;
+        state.generationTask.cancel();
     }
 }
 
@@ -602,8 +1834,20 @@ function resetApp() {
     state.currentStep = 1;
     state.excelFile = null;
     state.excelData = null;
+    state.excelSha256 = null;
     state.parsedData = null;
+    state.rowNumbers = [];
+    state.linkedRows = null;
+    state.importWarnings = [];
+    state.sheets = [];
+    state.selectedSheets = [];
+    state.headers = [];
+    state.columnMap = {};
+    state.activeProfile = null;
     state.mappedData = null;
+    state.gridEdits = new Map();
+    state.previewPage = 0;
+    state.rowIssues = new Map();
     state.validationResults = null;
     state.generatedFiles = [];
     state.requiredAttachments = [];
@@ -626,7 +1870,9 @@ function resetApp() {
     elements.excelPath.textContent = 'No file selected';
     elements.excelCard.classList.remove('selected');
 
-    // Hide attachments section
+    // Hide sheet, mapping and attachments sections
+    elements.sheetSection.style.display = 'none';
+    elements.mappingSection.style.display = 'none';
     if (elements.attachmentsSection) {
         elements.attachmentsSection.style.display = 'none';
     }
@@ -638,6 +1884,35 @@ function resetApp() {
     elements.proceedStep2.disabled = true;
 }
 
+/**
+ * Show the code tables from the reference data
+ */
+function showCodeReference() {
+    elements.codeReferenceBody.innerHTML = Object.values(REFERENCE_TABLES)
+        .map(table => `
+            <div class="code-table">
+                <h4>${escapeHtml(table.title)} (${escapeHtml(table.localTitle)})</h4>
+                <div class="code-table-meta">
+                    ${escapeHtml(table.source)} • Version ${escapeHtml(table.version)}, effective ${escapeHtml(table.effectiveDate)}
+                    ${table.complete ? '' : ' • Common codes only'}
+                </div>
+                <table class="data-table">
+                    <thead><tr><th>Code</th><th>Description</th></tr></thead>
+                    <tbody>
+                        ${table.codes.map(entry => `
+                            <tr>
+                                <td>${escapeHtml(entry.code)}</td>
+                                <td>${escapeHtml(entry.label)}${entry.localLabel ? ` (${escapeHtml(entry.localLabel)})` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+
+    elements.codeReferenceModal.classList.add('active');
+}
+
 /**
  * Escape HTML special characters
  */
@@ -650,6 +1925,31 @@ function escapeHtml(str) {
         .replace(/"/g, '&quot;');
 }
 
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45s" or "3m 20s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Format a stored ISO timestamp for display
+ * @param {string} iso - ISO timestamp
+ * @param {boolean} [withTime] - Include the time of day
+ * @returns {string} e.g. "19 Oct 2026" or "19 Oct 2026, 14:05"
+ */
+function formatDate(iso, withTime = false) {
+    const date = new Date(iso);
+    if (isNaN(date)) return '';
+    return date.toLocaleString('en-GB', withTime
+        ? { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+        : { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
 /**
  * Download file via browser
  */
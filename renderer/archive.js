@@ -0,0 +1,113 @@
+/**
+ * ZIP Archive Module
+ * Unpacks attachment archives and packs generated output in the browser
+ */
+
+// fflate is served from node_modules by server.js
+import { Unzip, UnzipInflate, Zip, ZipDeflate, strToU8 } from '/vendor/fflate.js';
+
+/**
+ * Extract all files from a ZIP archive
+ * The archive is streamed, so only the unpacked entries are held in memory
+ * @param {File|Blob} archive - ZIP file
+ * @returns {Promise<Array>} Array of { path, name, file } - path is the full entry path, name the filename only
+ */
+export async function extractArchive(archive) {
+    const entries = [];
+    const pending = [];
+
+    const unzipper = new Unzip((entry) => {
+        // Skip folders and macOS metadata
+        if (entry.name.endsWith('/') || entry.name.startsWith('__MACOSX/')) return;
+
+        const name = entry.name.split('/').pop();
+        if (!name || name.startsWith('.')) return;
+
+        pending.push(new Promise((resolve, reject) => {
+            const chunks = [];
+            entry.ondata = (err, data, final) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                // Copy each chunk into a Blob right away
+                chunks.push(new Blob([data]));
+                if (final) {
+                    entries.push({ path: entry.name, name, file: new File(chunks, name) });
+                    resolve();
+                }
+            };
+
+            try {
+                entry.start();
+            } catch (e) {
+                reject(new Error(`Cannot unpack ${entry.name}: ${e.message}`));
+            }
+        }));
+    });
+    unzipper.register(UnzipInflate);
+
+    const reader = archive.stream().getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+            unzipper.push(new Uint8Array(0), true);
+            break;
+        }
+        unzipper.push(value);
+    }
+
+    await Promise.all(pending);
+    return entries;
+}
+
+/**
+ * Check whether a file is a ZIP archive
+ * @param {File} file - Selected file
+ * @returns {boolean} True for .zip files
+ */
+export function isArchive(file) {
+    return /\.zip$/i.test(file.name);
+}
+
+/**
+ * Pack files into a ZIP archive
+ * @param {Array} files - Array of { name, content } where content is a string or Blob
+ * @returns {Promise<Blob>} ZIP file
+ */
+export async function createArchive(files) {
+    const parts = [];
+    let failure = null;
+
+    const zip = new Zip((err, data) => {
+        if (err) {
+            failure = err;
+            return;
+        }
+        parts.push(new Blob([data]));
+    });
+
+    for (const { name, content } of files) {
+        const entry = new ZipDeflate(name, { level: 6 });
+        zip.add(entry);
+
+        if (typeof content === 'string') {
+            entry.push(strToU8(content), true);
+            continue;
+        }
+
+        const reader = content.stream().getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                entry.push(new Uint8Array(0), true);
+                break;
+            }
+            entry.push(value);
+        }
+    }
+    zip.end();
+
+    if (failure) throw failure;
+    return new Blob(parts, { type: 'application/zip' });
+}
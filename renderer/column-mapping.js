@@ -0,0 +1,227 @@
+/**
+ * Column Mapping Module
+ * Suggests how a client's spreadsheet headers map to STAMPS fields
+ */
+
+import { COLUMN_MAP, PARTY_COLUMNS, NUMBERED_PARTY_PATH_REGEX, getNumberedPartyField } from './parser.js';
+
+// Minimum similarity for a header to be suggested for a field
+const SUGGESTION_THRESHOLD = 0.6;
+
+// Words naming the party a column belongs to
+const PARTY_REGEX = /\b(transferor|transferee)\b/;
+
+// Client wording -> template wording, applied to headers before comparing
+const SYNONYMS = [
+    [/\b(nric|mykad|ic no|ic number|identity card( no)?|kad pengenalan|no kp)\b/g, 'ic'],
+    [/\b(passport no|passport number|pasport)\b/g, 'passport'],
+    [/\b(ssm|company no|company number|registration no|reg no|roc no)\b/g, 'roc'],
+    [/\b(tel|telephone|mobile|phone no|contact no|hp)\b/g, 'phone'],
+    [/\b(addr|alamat)\b/g, 'address'],
+    [/\b(post code|poskod|zip|zip code)\b/g, 'postcode'],
+    [/\b(bandar)\b/g, 'city'],
+    [/\b(negeri)\b/g, 'state code'],
+    [/\b(e mail|emel)\b/g, 'email'],
+    [/\b(reference no|reference number|ref number|ref)\b/g, 'ref no'],
+    [/\b(loan amount|loan amt|amount|consideration)\b/g, 'loan consideration amt'],
+    [/\b(file name|filename|document)\b/g, 'attachment filename']
+];
+
+/**
+ * STAMPS fields a column can be mapped to: [{ field, label }]
+ * The label is the template header for the field
+ */
+export const MAPPABLE_FIELDS = Object.entries(
+    Object.fromEntries(Object.entries(COLUMN_MAP).map(([header, field]) => [field, header]))
+).map(([field, label]) => ({ field, label }));
+
+/**
+ * Fields a column of this file can be mapped to
+ * Adds the fields of additional parties for each repeated party column group in the headers
+ * ("Transferee 2 Name" adds every Transferee 2 field)
+ * @param {string[]} headers - Source headers
+ * @returns {Array} [{ field, label }]
+ */
+export function getMappableFields(headers) {
+    const groups = new Set();
+    for (const header of headers) {
+        const match = (getNumberedPartyField(header) || '').match(NUMBERED_PARTY_PATH_REGEX);
+        if (match) groups.add(`${match[1]}|${match[2]}`);
+    }
+
+    const partyFields = [...groups].sort().flatMap(group => {
+        const [role, number] = group.split('|');
+        const label = role[0].toUpperCase() + role.slice(1);
+        return Object.entries(PARTY_COLUMNS).map(([column, field]) => ({
+            field: `${role}[${number}].${field}`,
+            label: `${label} ${number} ${column}`
+        }));
+    });
+
+    return [...MAPPABLE_FIELDS, ...partyFields];
+}
+
+/**
+ * Suggest a STAMPS field for each source header
+ * Headers matching a template header exactly (ignoring case and spacing) are 'exact';
+ * others are matched by similarity. Each field is suggested for at most one header.
+ * @param {string[]} headers - Source headers
+ * @returns {Object} header -> { field, confidence: 'exact'|'suggested' } or null
+ */
+export function suggestMapping(headers) {
+    const mapping = Object.fromEntries(headers.map(header => [header, null]));
+    const usedFields = new Set();
+
+    // Exact template headers first
+    const templateHeaders = new Map(
+        Object.entries(COLUMN_MAP).map(([header, field]) => [normalizeHeader(header), field])
+    );
+    for (const header of headers) {
+        const field = templateHeaders.get(normalizeHeader(header)) || getNumberedPartyField(header);
+        if (field && !usedFields.has(field)) {
+            mapping[header] = { field, confidence: 'exact' };
+            usedFields.add(field);
+        }
+    }
+
+    // Remaining headers by best similarity, highest scores first
+    const candidates = [];
+    for (const header of headers) {
+        if (mapping[header]) continue;
+        const source = expandSynonyms(header);
+        for (const [templateHeader, field] of Object.entries(COLUMN_MAP)) {
+            const score = scoreHeader(source, expandSynonyms(templateHeader));
+            if (score >= SUGGESTION_THRESHOLD) {
+                candidates.push({ header, field, score });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    for (const { header, field } of candidates) {
+        if (mapping[header] || usedFields.has(field)) continue;
+        mapping[header] = { field, confidence: 'suggested' };
+        usedFields.add(field);
+    }
+
+    return mapping;
+}
+
+/**
+ * Build a signature identifying a header layout
+ * Files with the same columns (in any order, any case) share a signature
+ * @param {string[]} headers - Source headers
+ * @returns {string} Signature
+ */
+export function getHeaderSignature(headers) {
+    return headers
+        .map(normalizeHeader)
+        .filter(Boolean)
+        .sort()
+        .join('|');
+}
+
+/**
+ * Apply a saved profile mapping to the headers of a new file
+ * Headers are matched ignoring case and spacing, as in the header signature
+ * @param {Object} profileMapping - Saved header -> field path
+ * @param {string[]} headers - Source headers of the new file
+ * @returns {Object} header -> field path ('' for ignored columns)
+ */
+export function applyProfileMapping(profileMapping, headers) {
+    const saved = new Map(
+        Object.entries(profileMapping).map(([header, field]) => [normalizeHeader(header), field])
+    );
+    return Object.fromEntries(headers.map(header => [header, saved.get(normalizeHeader(header)) || '']));
+}
+
+/**
+ * Normalize a header for comparison
+ * @param {string} header - Header text
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeHeader(header) {
+    return String(header)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a header and replace client wording with template wording
+ */
+function expandSynonyms(header) {
+    let text = normalizeHeader(header);
+    for (const [pattern, replacement] of SYNONYMS) {
+        text = text.replace(pattern, replacement);
+    }
+    return text;
+}
+
+/**
+ * Score how well a source header matches a template header (0-1)
+ * The party (transferor/transferee) must agree; the rest of the header is compared by similarity,
+ * so "Borrower Name" still scores against "Transferor Name"
+ * @param {string} source - Expanded source header
+ * @param {string} template - Expanded template header
+ * @returns {number} Score
+ */
+function scoreHeader(source, template) {
+    const sourceParts = splitParty(source);
+    const templateParts = splitParty(template);
+
+    if (sourceParts.party && sourceParts.party !== templateParts.party) return 0;
+    if (!templateParts.party && sourceParts.party) return 0;
+
+    let score = similarity(sourceParts.rest, templateParts.rest);
+    if (sourceParts.rest !== templateParts.rest && ` ${sourceParts.rest}`.endsWith(` ${templateParts.rest}`)) {
+        score = Math.max(score, 0.7);
+    }
+
+    // Without a party in the source header the party is a guess
+    return templateParts.party && !sourceParts.party ? score * 0.9 : score;
+}
+
+/**
+ * Separate the party word from the rest of a header
+ * @param {string} header - Expanded header
+ * @returns {Object} { party: 'transferor'|'transferee'|null, rest }
+ */
+function splitParty(header) {
+    const match = header.match(PARTY_REGEX);
+    return {
+        party: match ? match[1] : null,
+        rest: header.replace(PARTY_REGEX, ' ').replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Similarity of two normalized headers (Dice coefficient over character bigrams, 0-1)
+ * @param {string} a - First header
+ * @param {string} b - Second header
+ * @returns {number} Similarity
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+
+    const bigrams = (text) => {
+        const compact = text.replace(/ /g, '');
+        const counts = new Map();
+        for (let i = 0; i < compact.length - 1; i++) {
+            const bigram = compact.slice(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return { counts, total: Math.max(compact.length - 1, 0) };
+    };
+
+    const first = bigrams(a);
+    const second = bigrams(b);
+    if (first.total === 0 || second.total === 0) return 0;
+
+    let overlap = 0;
+    for (const [bigram, count] of first.counts) {
+        overlap += Math.min(count, second.counts.get(bigram) || 0);
+    }
+
+    return (2 * overlap) / (first.total + second.total);
+}
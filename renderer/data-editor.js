@@ -0,0 +1,152 @@
+/**
+ * Data Editor Module
+ * Reads and edits mapped records by field path for the preview grid,
+ * and writes corrected records back to the template layout
+ */
+
+import { MAPPABLE_FIELDS } from './column-mapping.js';
+import { PARTY_COLUMNS, NUMBERED_PARTY_PATH_REGEX, NUMBER_FIELDS, normalizeNumber, splitAttachmentList } from './parser.js';
+
+// Separator used when an attachment list is shown or exported as one cell
+const ATTACHMENT_SEPARATOR = '; ';
+
+/**
+ * Columns of the preview grid: every template field, then the fields of each additional party in the data
+ * @param {Array} mappedData - Mapped records
+ * @returns {Array} [{ field, label }]
+ */
+export function getGridColumns(mappedData) {
+    const groups = new Map();
+    for (const record of mappedData) {
+        for (const party of record.additionalParties || []) {
+            groups.set(`${party.role}[${party.number}]`, party);
+        }
+    }
+
+    const partyFields = [...groups.values()]
+        .sort((a, b) => a.role.localeCompare(b.role) || a.number - b.number)
+        .flatMap(({ role, number }) => {
+            const label = role[0].toUpperCase() + role.slice(1);
+            return Object.entries(PARTY_COLUMNS).map(([column, field]) => ({
+                field: `${role}[${number}].${field}`,
+                label: `${label} ${number} ${column}`
+            }));
+        });
+
+    return [...MAPPABLE_FIELDS, ...partyFields];
+}
+
+/**
+ * Read a field of a record for display
+ * The attachment field shows the record's full attachment list
+ * @param {Object} record - Mapped record
+ * @param {string} field - Field path ('refNo', 'transferor.name', 'transferee[2].name')
+ * @returns {string} Value ('' if not set)
+ */
+export function getFieldValue(record, field) {
+    if (field === 'attachment') {
+        return (record.attachments || []).join(ATTACHMENT_SEPARATOR);
+    }
+
+    const numbered = field.match(NUMBERED_PARTY_PATH_REGEX);
+    let value;
+    if (numbered) {
+        const [, role, number, name] = numbered;
+        value = findParty(record, role, parseInt(number, 10))?.fields[name];
+    } else if (field.includes('.')) {
+        const [parent, child] = field.split('.');
+        value = record[parent]?.[child];
+    } else {
+        value = record[field];
+    }
+
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Set a field of a record (modified in place)
+ * Setting the attachment field replaces the attachment list; clearing every field of an
+ * additional party removes the party, as blank party column groups are not parties
+ * @param {Object} record - Mapped record
+ * @param {string} field - Field path
+ * @param {string} value - New value
+ */
+export function setFieldValue(record, field, value) {
+    const text = NUMBER_FIELDS.includes(field) ? normalizeNumber(String(value ?? '').trim()) : String(value ?? '').trim();
+
+    if (field === 'attachment') {
+        record.attachment = text;
+        record.attachments = [...new Set(splitAttachmentList(text))];
+        return;
+    }
+
+    const numbered = field.match(NUMBERED_PARTY_PATH_REGEX);
+    if (numbered) {
+        const [, role, numberText, name] = numbered;
+        const number = parseInt(numberText, 10);
+        record.additionalParties = record.additionalParties || [];
+
+        let party = findParty(record, role, number);
+        if (!party) {
+            if (!text) return;
+            party = { role, number, fields: {}, rowNumber: null };
+            record.additionalParties.push(party);
+            record.additionalParties.sort((a, b) => a.role.localeCompare(b.role) || a.number - b.number);
+        }
+
+        party.fields[name] = text;
+        if (Object.values(party.fields).every(fieldValue => String(fieldValue ?? '').trim() === '')) {
+            record.additionalParties = record.additionalParties.filter(p => p !== party);
+        }
+    } else if (field.includes('.')) {
+        const [parent, child] = field.split('.');
+        record[parent] = record[parent] || {};
+        record[parent][child] = text;
+    } else {
+        record[field] = text;
+    }
+}
+
+/**
+ * Grid field an issue belongs to (attachment list issues belong to the attachment column)
+ * @param {Object} issue - Validation issue
+ * @returns {string} Field path
+ */
+export function getIssueField(issue) {
+    return issue.fieldName === 'attachments' ? 'attachment' : issue.fieldName;
+}
+
+/**
+ * Rows of the template sheets for a set of records
+ * Data Entry uses the template headers with all attachments in Attachment Filename;
+ * additional parties go to the Parties sheet, linked by Ref No
+ * @param {Array} mappedData - Mapped records
+ * @returns {Object} Sheet name -> array of rows (first row is the header)
+ */
+export function buildTemplateSheets(mappedData) {
+    const partyColumns = Object.entries(PARTY_COLUMNS);
+
+    const dataRows = mappedData.map(record =>
+        MAPPABLE_FIELDS.map(({ field }) => getFieldValue(record, field))
+    );
+
+    const partyRows = mappedData.flatMap(record =>
+        (record.additionalParties || []).map(party => [
+            getFieldValue(record, 'refNo'),
+            party.role[0].toUpperCase() + party.role.slice(1),
+            ...partyColumns.map(([, field]) => getFieldValue(record, `${party.role}[${party.number}].${field}`))
+        ])
+    );
+
+    return {
+        'Data Entry': [MAPPABLE_FIELDS.map(({ label }) => label), ...dataRows],
+        'Parties': [['Ref No', 'Role', ...partyColumns.map(([column]) => column)], ...partyRows]
+    };
+}
+
+/**
+ * Find an additional party of a record
+ */
+function findParty(record, role, number) {
+    return (record.additionalParties || []).find(party => party.role === role && party.number === number);
+}
@@ -0,0 +1,217 @@
+/**
+ * Duplicate Detection Module
+ * Finds instruments that would be submitted to STAMPS more than once: Ref Nos repeated in the upload,
+ * likely duplicate instruments under different Ref Nos, and Ref Nos already generated in the project
+ */
+
+import { sha256Hex } from './generator.js';
+
+/**
+ * Find duplicates in a set of records
+ * @param {Array} mappedData - Records
+ * @param {Object} [options] - Options
+ * @param {Function} [options.getAttachmentBlob] - Returns an attachment's Blob (or a Promise of it) by filename,
+ *   to compare attachments by content; without it they are compared by filename
+ * @param {Array} [options.previousRefNos] - Ref Nos of earlier generations: [{ refNo, generationId, createdAt }]
+ * @returns {Promise<Object>} { errors, warnings } - issues in the validator's format
+ */
+export async function findDuplicates(mappedData, { getAttachmentBlob, previousRefNos } = {}) {
+    return {
+        errors: findDuplicateRefNos(mappedData),
+        warnings: [
+            ...await findDuplicateInstruments(mappedData, getAttachmentBlob),
+            ...findPreviousRefNos(mappedData, previousRefNos || [])
+        ]
+    };
+}
+
+/**
+ * Ref Nos used by more than one record of the upload (errors)
+ * @param {Array} mappedData - Records
+ * @returns {Array} Issues, one per record sharing its Ref No
+ */
+function findDuplicateRefNos(mappedData) {
+    const issues = [];
+
+    for (const group of groupBy(mappedData, record => normalizeRefNo(record.refNo))) {
+        for (const record of group) {
+            const others = group.filter(other => other !== record).map(other => other._rowNumber);
+            issues.push({
+                rowNumber: record._rowNumber,
+                fieldName: 'refNo',
+                errorType: 'DUPLICATE_REF_NO',
+                message: `Reference Number ${String(record.refNo).trim()} is also used in ${formatRows(others)}`,
+                value: String(record.refNo).trim()
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Records under different Ref Nos with the same parties, date, consideration and attachments (warnings)
+ * Attachments are only read for records that already match on everything else.
+ * @param {Array} mappedData - Records
+ * @param {Function} [getAttachmentBlob] - Attachment Blob by filename
+ * @returns {Promise<Array>} Issues, one per likely duplicate record
+ */
+async function findDuplicateInstruments(mappedData, getAttachmentBlob) {
+    const issues = [];
+    const hashes = new Map();
+
+    for (const candidates of groupBy(mappedData, instrumentKey)) {
+        const attachmentKeys = new Map();
+        for (const record of candidates) {
+            attachmentKeys.set(record, await attachmentKey(record, getAttachmentBlob, hashes));
+        }
+
+        for (const group of groupBy(candidates, record => attachmentKeys.get(record))) {
+            for (const record of group) {
+                // Records sharing the Ref No are already reported by findDuplicateRefNos
+                const others = group
+                    .filter(other => normalizeRefNo(other.refNo) !== normalizeRefNo(record.refNo))
+                    .map(other => other._rowNumber);
+                if (others.length === 0) continue;
+
+                issues.push({
+                    rowNumber: record._rowNumber,
+                    fieldName: 'refNo',
+                    errorType: 'DUPLICATE_INSTRUMENT',
+                    message: `Looks like the same instrument as ${formatRows(others)}: same parties, date, consideration and attachments`,
+                    value: String(record.refNo ?? '').trim()
+                });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Ref Nos already included in an earlier generation of the project (warnings)
+ * @param {Array} mappedData - Records
+ * @param {Array} previousRefNos - [{ refNo, generationId, createdAt }]
+ * @returns {Array} Issues
+ */
+function findPreviousRefNos(mappedData, previousRefNos) {
+    const previous = new Map();
+    for (const entry of previousRefNos) {
+        const refNo = normalizeRefNo(entry.refNo);
+        if (refNo && !previous.has(refNo)) previous.set(refNo, entry);
+    }
+
+    const issues = [];
+    for (const record of mappedData) {
+        const entry = previous.get(normalizeRefNo(record.refNo));
+        if (!entry) continue;
+
+        issues.push({
+            rowNumber: record._rowNumber,
+            fieldName: 'refNo',
+            errorType: 'PREVIOUSLY_GENERATED',
+            message: `Reference Number ${String(record.refNo).trim()} was already generated in this project ` +
+                `(run #${entry.generationId} on ${String(entry.createdAt).slice(0, 10)}). Check it was not submitted before`,
+            value: String(record.refNo).trim()
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Key of the instrument details compared for duplicates: parties, date and consideration
+ * @param {Object} record - Record
+ * @returns {string} Key ('' when the record lacks a date or parties to compare)
+ */
+function instrumentKey(record) {
+    const date = String(record.instrumentDate ?? '').trim();
+    const consideration = parseFloat(String(record.consideration ?? '').replace(/RM|,|\s/gi, ''));
+    const parties = [
+        ['transferor', record.transferor],
+        ['transferee', record.transferee],
+        ...(record.additionalParties || []).map(party => [party.role, party.fields])
+    ].map(([role, fields]) => `${role}:${partyIdentity(fields || {})}`);
+
+    if (!date || parties.some(party => party.endsWith(':'))) return '';
+    return JSON.stringify([date, isNaN(consideration) ? '' : consideration, ...parties]);
+}
+
+/**
+ * Identify a party by its IC, registration or passport number, else its name
+ */
+function partyIdentity(fields) {
+    const id = [fields.icNo, fields.rocNo, fields.pasportNo]
+        .map(value => String(value ?? '').replace(/[\s-]/g, '').toUpperCase())
+        .find(Boolean);
+    return id || String(fields.name ?? '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Key of a record's attachments: the SHA-256 of each file (its name if it cannot be read)
+ * @param {Object} record - Record
+ * @param {Function} [getAttachmentBlob] - Attachment Blob by filename
+ * @param {Map} hashes - Hashes already computed, by filename
+ * @returns {Promise<string>} Key
+ */
+async function attachmentKey(record, getAttachmentBlob, hashes) {
+    const names = (record.attachments || (record.attachment ? [record.attachment] : []))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+
+    const keys = [];
+    for (const name of names) {
+        if (!hashes.has(name)) {
+            hashes.set(name, await hashAttachment(name, getAttachmentBlob));
+        }
+        keys.push(hashes.get(name));
+    }
+    return JSON.stringify(keys.sort());
+}
+
+/**
+ * Hash an attachment's contents
+ * @param {string} name - Attachment filename
+ * @param {Function} [getAttachmentBlob] - Attachment Blob by filename
+ * @returns {Promise<string>} Hex digest, or "name:<filename>" when the file is not available
+ */
+async function hashAttachment(name, getAttachmentBlob) {
+    try {
+        const blob = getAttachmentBlob ? await getAttachmentBlob(name) : null;
+        if (blob) return await sha256Hex(new Uint8Array(await blob.arrayBuffer()));
+    } catch (e) {
+        console.error(`Failed to read attachment: ${name}`, e);
+    }
+    return `name:${name}`;
+}
+
+/**
+ * Group items by key, keeping groups of more than one item with a non-empty key
+ * @param {Array} items - Items
+ * @param {Function} getKey - Key of an item
+ * @returns {Array} Groups, in order of first appearance
+ */
+function groupBy(items, getKey) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = getKey(item);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * "row 4" or "rows 4, 9"
+ */
+function formatRows(rowNumbers) {
+    return `row${rowNumbers.length > 1 ? 's' : ''} ${rowNumbers.join(', ')}`;
+}
+
+/**
+ * Ref No as compared for duplicates (trimmed, case-insensitive)
+ */
+function normalizeRefNo(refNo) {
+    return String(refNo ?? '').trim().toUpperCase();
+}
@@ -0,0 +1,65 @@
+/**
+ * Stamp Duty Rate Tables
+ * Rates of the First Schedule of the Stamp Act 1949 used to estimate duty, one table per version.
+ * A record is estimated with the newest table in effect on its instrument date.
+ *
+ * Instrument rates, keyed by First Schedule item:
+ *   tiered - ad valorem on the consideration: each tier charges `duty` per `per` (or part) of the amount in it
+ *   rate   - ad valorem on the consideration: `duty` per `per` (or part)
+ *   fixed  - `duty` per instrument, whatever the consideration
+ * Each copy (duplicate or counterpart) pays the duty of the original, capped at copyDuty.
+ * Exemption and remission codes reduce the original's duty by a percentage; codes not listed are not applied
+ * (the estimate says so), so the estimate never understates the duty to fund.
+ */
+
+/**
+ * Instrument type mapping - CONFIGURE FOR YOUR STAMPS ACCOUNT
+ * STAMPS "Instrument Type Code" (typeOfInstrument) -> First Schedule item of the rate tables, e.g. { '12': '27(a)' }.
+ * This is not a statutory list: the Stamp Act has no numeric instrument codes, and the typeOfInstrument codes
+ * are those of the STAMPS instrument list your account submits under. Copy each code you use from there.
+ * Records whose code is not mapped here are not estimated (the estimate says so).
+ */
+export const INSTRUMENT_TYPE_ITEMS = {};
+
+export const DUTY_RATE_TABLES = [
+    {
+        version: '2019.1',
+        effectiveDate: '2019-01-01',
+        source: 'Stamp Act 1949, First Schedule (as amended by Finance Act 2018)',
+        currency: 'MYR',
+        instruments: {
+            '32(a)': {
+                label: 'Conveyance, assignment or transfer of property',
+                type: 'tiered',
+                per: 100,
+                tiers: [
+                    { upTo: 100000, duty: 1 },
+                    { upTo: 500000, duty: 2 },
+                    { upTo: 1000000, duty: 3 },
+                    { upTo: Infinity, duty: 4 }
+                ]
+            },
+            '32(b)': { label: 'Transfer of stock or shares', type: 'rate', per: 1000, duty: 3 },
+            '27(a)': { label: 'Loan or financing agreement', type: 'rate', per: 1000, duty: 5 },
+            '4': { label: 'Agreement not otherwise charged', type: 'fixed', duty: 10 }
+        },
+        copyDuty: 10,
+        exemptions: {},
+        remissions: {}
+    }
+];
+
+/**
+ * Get the rate table in effect on a date
+ * @param {string} [date] - Instrument date (DD/MM/YYYY); the newest table is used if missing or invalid
+ * @returns {Object} Rate table
+ */
+export function getRateTable(date) {
+    const tables = [...DUTY_RATE_TABLES].sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate));
+    const match = String(date || '').trim().match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (!match) return tables[0];
+
+    const isoDate = `${match[3]}-${match[2]}-${match[1]}`;
+    // Instruments dated before the oldest table are estimated with it
+    return tables.find(table => table.effectiveDate <= isoDate) || tables[tables.length - 1];
+}
@@ -3,6 +3,8 @@
  * Generates STAMPS-compliant XML with smart batching
  */
 
+import { estimateDuty, summarizeDuty } from './stamp-duty.js';
+
 // Maximum batch size in bytes (29MB for safety buffer)
 const MAX_BATCH_SIZE = 29 * 1024 * 1024;
 
@@ -10,48 +12,97 @@ const MAX_BATCH_SIZE = 29 * 1024 * 1024;
 const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n<bulkstamping>\n    <applicationType>43</applicationType>';
 const XML_FOOTER = '\n</bulkstamping>';
 
+// Closing tags after the attachment data of each attachment and instrument
+const ATTACHMENT_END = '</attachment>';
+const INSTRUMENT_END = '\n    </instrument>';
+
+// Attachments are read and base64-encoded this many bytes at a time (multiple of 3)
+const BASE64_CHUNK_SIZE = 3 * 256 * 1024;
+
+// How often a cancellable generation yields to the event loop (ms)
+const YIELD_INTERVAL_MS = 50;
+
+// Party elements, in schema order
+const PARTY_FIELDS = [
+    'type', 'name', 'nationality', 'icNo', 'pasportNo', 'pasportCountry', 'rocNo', 'busType',
+    'incomeTaxNo', 'incomeTaxBranch', 'street1', 'street2', 'street3', 'postcode', 'city',
+    'state', 'country', 'telNo', 'email'
+];
+
 /**
  * Generate XML files from mapped data
+ * Batches are assembled as Blob parts: attachments are read lazily and encoded in chunks,
+ * so only one chunk of attachment data is held as a string at any time
  * @param {Array} mappedData - Array of mapped record objects
  * @param {Map} attachmentFiles - Map of filename -> attachment data
- * @param {Function} getAttachmentBase64 - Function to get attachment base64 data by filename
+ * @param {Function} getAttachmentBlob - Function returning the attachment Blob/File (or a Promise of it) by filename
  * @param {Function} progressCallback - Progress callback function
- * @returns {Array} Array of generated XML objects { filename, content, size, recordCount }
+ * @param {Object} [options] - Generation options
+ * @param {AbortSignal} [options.signal] - Aborts generation between records
+ * @returns {Array} Array of generated XML objects { filename, content (Blob), size, recordCount, refNos, duty }
+ *   (duty: estimated stamp duty of the batch, see summarizeDuty)
  */
-export async function generateXml(mappedData, attachmentFiles, getAttachmentBase64, progressCallback) {
+export async function generateXml(mappedData, attachmentFiles, getAttachmentBlob, progressCallback, options = {}) {
+    const { signal } = options;
+    let lastYield = performance.now();
+
     const batches = [];
-    let currentBatch = {
-        instruments: [],
-        size: XML_HEADER.length + XML_FOOTER.length,
-        recordCount: 0
-    };
+    let currentBatch = createBatch();
 
     const totalRecords = mappedData.length;
 
     for (let i = 0; i < mappedData.length; i++) {
         const record = mappedData[i];
 
-        // Generate instrument XML
-        const instrumentXml = generateInstrumentXml(record, getAttachmentBase64);
-        const instrumentSize = new Blob([instrumentXml]).size;
+        if (signal) {
+            // Give the event loop a chance to deliver a cancel request
+            if (performance.now() - lastYield > YIELD_INTERVAL_MS) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+            signal.throwIfAborted();
+        }
+
+        // Generate instrument XML (attachment data is appended separately)
+        const instrumentXml = generateInstrumentXml(record);
+        const attachments = [];
+        for (const attachmentName of getAttachmentNames(record)) {
+            attachments.push({
+                startXml: generateAttachmentStartXml(attachmentName),
+                blob: attachmentName ? await loadAttachment(getAttachmentBlob, attachmentName) : null
+            });
+        }
+
+        const instrumentSize = utf8Length(instrumentXml) +
+            attachments.reduce((total, attachment) => total +
+                utf8Length(attachment.startXml) +
+                base64Length(attachment.blob ? attachment.blob.size : 0) +
+                ATTACHMENT_END.length, 0) +
+            INSTRUMENT_END.length;
 
         // Check if adding this instrument would exceed batch size
-        if (currentBatch.size + instrumentSize > MAX_BATCH_SIZE && currentBatch.instruments.length > 0) {
+        if (currentBatch.size + instrumentSize > MAX_BATCH_SIZE && currentBatch.recordCount > 0) {
             // Finalize current batch
             batches.push(finalizeBatch(currentBatch, batches.length + 1));
 
             // Start new batch
-            currentBatch = {
-                instruments: [],
-                size: XML_HEADER.length + XML_FOOTER.length,
-                recordCount: 0
-            };
+            currentBatch = createBatch();
         }
 
-        // Add instrument to current batch
-        currentBatch.instruments.push(instrumentXml);
+        // Add instrument to current batch, one attachment element per file
+        currentBatch.parts.push(instrumentXml);
+        for (const attachment of attachments) {
+            currentBatch.parts.push(attachment.startXml);
+            if (attachment.blob) {
+                await appendBase64(currentBatch.parts, attachment.blob, signal);
+            }
+            currentBatch.parts.push(ATTACHMENT_END);
+        }
+        currentBatch.parts.push(INSTRUMENT_END);
         currentBatch.size += instrumentSize;
         currentBatch.recordCount++;
+        currentBatch.refNos.push(String(record.refNo || ''));
+        currentBatch.dutyEstimates.push(estimateDuty(record));
 
         // Report progress
         if (progressCallback) {
@@ -65,13 +116,27 @@ export async function generateXml(mappedData, attachmentFiles, getAttachmentBase
     }
 
     // Finalize last batch
-    if (currentBatch.instruments.length > 0) {
+    if (currentBatch.recordCount > 0) {
         batches.push(finalizeBatch(currentBatch, batches.length + 1));
     }
 
     return batches;
 }
 
+/**
+ * Create an empty batch
+ * @returns {Object} Batch object
+ */
+function createBatch() {
+    return {
+        parts: [],
+        size: XML_HEADER.length + XML_FOOTER.length,
+        recordCount: 0,
+        refNos: [],
+        dutyEstimates: []
+    };
+}
+
 /**
  * Finalize a batch into XML content
  * @param {Object} batch - Batch object
@@ -79,34 +144,75 @@ export async function generateXml(mappedData, attachmentFiles, getAttachmentBase
  * @returns {Object} Finalized batch
  */
 function finalizeBatch(batch, batchNumber) {
-    const content = XML_HEADER + batch.instruments.join('') + XML_FOOTER;
-
     return {
         filename: batchNumber === 1 ? 'Output.xml' : `Output_Batch_${batchNumber}.xml`,
-        content,
-        size: new Blob([content]).size,
-        recordCount: batch.recordCount
+        content: new Blob([XML_HEADER, ...batch.parts, XML_FOOTER], { type: 'application/xml' }),
+        size: batch.size,
+        recordCount: batch.recordCount,
+        refNos: batch.refNos,
+        duty: summarizeDuty(batch.dutyEstimates)
     };
 }
 
 /**
- * Generate XML for a single instrument
- * @param {Object} record - Mapped record data
- * @param {Function} getAttachmentBase64 - Function to get attachment base64 by filename
- * @returns {string} Instrument XML string
+ * Look up an attachment, logging (not throwing) on failure
+ * @param {Function} getAttachmentBlob - Attachment lookup function
+ * @param {string} filename - Attachment filename
+ * @returns {Blob|null} Attachment data
  */
-function generateInstrumentXml(record, getAttachmentBase64) {
-    let attachmentBase64 = '';
-    let attachmentName = record.attachment || '';
+async function loadAttachment(getAttachmentBlob, filename) {
+    try {
+        return (await getAttachmentBlob(filename)) || null;
+    } catch (e) {
+        console.error(`Failed to get attachment: ${filename}`, e);
+        return null;
+    }
+}
 
-    if (attachmentName) {
-        try {
-            attachmentBase64 = getAttachmentBase64(attachmentName.trim()) || '';
-        } catch (e) {
-            console.error(`Failed to get attachment: ${attachmentName}`, e);
-        }
+/**
+ * Base64-encode an attachment chunk by chunk, appending each chunk as a Blob part
+ * @param {Array} parts - Batch parts to append to
+ * @param {Blob} attachment - Attachment data
+ * @param {AbortSignal} [signal] - Aborts between chunks
+ */
+async function appendBase64(parts, attachment, signal) {
+    for (let offset = 0; offset < attachment.size; offset += BASE64_CHUNK_SIZE) {
+        if (signal) signal.throwIfAborted();
+        const chunk = attachment.slice(offset, offset + BASE64_CHUNK_SIZE);
+        const bytes = new Uint8Array(await chunk.arrayBuffer());
+        parts.push(new Blob([bytesToBase64(bytes)]));
     }
+}
+
+/**
+ * Attachment filenames of a record
+ * An instrument without attachments still gets one empty attachment element
+ * @param {Object} record - Mapped record data
+ * @returns {string[]} Filenames ('' for the empty element)
+ */
+function getAttachmentNames(record) {
+    const names = record.attachments || (record.attachment ? [String(record.attachment).trim()] : []);
+    return names.length > 0 ? names : [''];
+}
+
+/**
+ * Generate the opening tag of an attachment element
+ * The attachment data and ATTACHMENT_END follow it in the batch
+ * @param {string} attachmentName - Attachment filename
+ * @returns {string} XML string
+ */
+function generateAttachmentStartXml(attachmentName) {
+    return `
+        <attachment name="${escapeXml(attachmentName)}">`;
+}
 
+/**
+ * Generate the XML for a single instrument, up to its attachment elements
+ * The attachment elements and INSTRUMENT_END follow it in the batch
+ * @param {Object} record - Mapped record data
+ * @returns {string} Instrument XML string
+ */
+function generateInstrumentXml(record) {
     const xml = `
     <instrument>
         <refNo>${escapeXml(record.refNo || '')}</refNo>
@@ -116,48 +222,8 @@ function generateInstrumentXml(record, getAttachmentBase64) {
         <subsidiary>${escapeXml(record.subsidiary || '')}</subsidiary>
         <typeOfInstrument>${escapeXml(record.typeOfInstrument || '')}</typeOfInstrument>
         <typeOfInstrumentOthers>${escapeXml(record.typeOfInstrumentOthers || '')}</typeOfInstrumentOthers>
-        <transferor>
-            <type>${escapeXml(record.transferor?.type || '')}</type>
-            <name>${escapeXml(record.transferor?.name || '')}</name>
-            <nationality>${escapeXml(record.transferor?.nationality || '')}</nationality>
-            <icNo>${escapeXml(record.transferor?.icNo || '')}</icNo>
-            <pasportNo>${escapeXml(record.transferor?.pasportNo || '')}</pasportNo>
-            <pasportCountry>${escapeXml(record.transferor?.pasportCountry || '')}</pasportCountry>
-            <rocNo>${escapeXml(record.transferor?.rocNo || '')}</rocNo>
-            <busType>${escapeXml(record.transferor?.busType || '')}</busType>
-            <incomeTaxNo>${escapeXml(record.transferor?.incomeTaxNo || '')}</incomeTaxNo>
-            <incomeTaxBranch>${escapeXml(record.transferor?.incomeTaxBranch || '')}</incomeTaxBranch>
-            <street1>${escapeXml(record.transferor?.street1 || '')}</street1>
-            <street2>${escapeXml(record.transferor?.street2 || '')}</street2>
-            <street3>${escapeXml(record.transferor?.street3 || '')}</street3>
-            <postcode>${escapeXml(record.transferor?.postcode || '')}</postcode>
-            <city>${escapeXml(record.transferor?.city || '')}</city>
-            <state>${escapeXml(record.transferor?.state || '')}</state>
-            <country>${escapeXml(record.transferor?.country || '')}</country>
-            <telNo>${escapeXml(record.transferor?.telNo || '')}</telNo>
-            <email>${escapeXml(record.transferor?.email || '')}</email>
-        </transferor>
-        <transferee>
-            <type>${escapeXml(record.transferee?.type || '')}</type>
-            <name>${escapeXml(record.transferee?.name || '')}</name>
-            <nationality>${escapeXml(record.transferee?.nationality || '')}</nationality>
-            <icNo>${escapeXml(record.transferee?.icNo || '')}</icNo>
-            <pasportNo>${escapeXml(record.transferee?.pasportNo || '')}</pasportNo>
-            <pasportCountry>${escapeXml(record.transferee?.pasportCountry || '')}</pasportCountry>
-            <rocNo>${escapeXml(record.transferee?.rocNo || '')}</rocNo>
-            <busType>${escapeXml(record.transferee?.busType || '')}</busType>
-            <incomeTaxNo>${escapeXml(record.transferee?.incomeTaxNo || '')}</incomeTaxNo>
-            <incomeTaxBranch>${escapeXml(record.transferee?.incomeTaxBranch || '')}</incomeTaxBranch>
-            <street1>${escapeXml(record.transferee?.street1 || '')}</street1>
-            <street2>${escapeXml(record.transferee?.street2 || '')}</street2>
-            <street3>${escapeXml(record.transferee?.street3 || '')}</street3>
-            <postcode>${escapeXml(record.transferee?.postcode || '')}</postcode>
-            <city>${escapeXml(record.transferee?.city || '')}</city>
-            <state>${escapeXml(record.transferee?.state || '')}</state>
-            <country>${escapeXml(record.transferee?.country || '')}</country>
-            <telNo>${escapeXml(record.transferee?.telNo || '')}</telNo>
-            <email>${escapeXml(record.transferee?.email || '')}</email>
-        </transferee>
+        ${generatePartiesXml(record, 'transferor')}
+        ${generatePartiesXml(record, 'transferee')}
         <consideration>${escapeXml(record.consideration || '')}</consideration>
         <duration>${escapeXml(record.duration || '')}</duration>
         <durationDesc>${escapeXml(record.durationDesc || '')}</durationDesc>
@@ -171,13 +237,123 @@ function generateInstrumentXml(record, getAttachmentBase64) {
         <exemption>${escapeXml(record.exemption || '')}</exemption>
         <exemptionOthers>${escapeXml(record.exemptionOthers || '')}</exemptionOthers>
         <remession>${escapeXml(record.remession || '')}</remession>
-        <remessionOthers>${escapeXml(record.remessionOthers || '')}</remessionOthers>
-        <attachment name="${escapeXml(attachmentName)}">${attachmentBase64}</attachment>
-    </instrument>`;
+        <remessionOthers>${escapeXml(record.remessionOthers || '')}</remessionOthers>`;
 
     return xml;
 }
 
+/**
+ * Generate the party elements of one role
+ * The main party comes first, followed by any additional parties as repeated elements
+ * @param {Object} record - Record data
+ * @param {string} role - 'transferor' or 'transferee'
+ * @returns {string} XML string
+ */
+function generatePartiesXml(record, role) {
+    const parties = [
+        record[role] || {},
+        ...(record.additionalParties || [])
+            .filter(party => party.role === role)
+            .map(party => party.fields)
+    ];
+
+    return parties.map(party => `<${role}>
+${PARTY_FIELDS.map(field => `            <${field}>${escapeXml(party[field] || '')}</${field}>`).join('\n')}
+        </${role}>`).join('\n        ');
+}
+
+/**
+ * Build a manifest describing the generated batches
+ * Used to reconcile what was uploaded to STAMPS against the source data
+ * @param {Array} batches - Batches returned by generateXml
+ * @param {Object} [info] - Extra details to include (e.g. source filename)
+ * @returns {Object} Manifest object
+ */
+export async function createManifest(batches, info = {}) {
+    const manifestBatches = [];
+
+    for (const batch of batches) {
+        manifestBatches.push({
+            filename: batch.filename,
+            recordCount: batch.recordCount,
+            size: batch.size,
+            sha256: await sha256Hex(new Uint8Array(await batch.content.arrayBuffer())),
+            refNos: batch.refNos,
+            estimatedDuty: batch.duty.total,
+            unestimatedRecords: batch.duty.unestimatedCount
+        });
+    }
+
+    return {
+        ...info,
+        generatedAt: new Date().toISOString(),
+        totalRecords: batches.reduce((sum, batch) => sum + batch.recordCount, 0),
+        batchCount: batches.length,
+        estimatedDuty: Math.round(batches.reduce((sum, batch) => sum + batch.duty.total, 0) * 100) / 100,
+        batches: manifestBatches
+    };
+}
+
+/**
+ * Compute the SHA-256 digest of some bytes
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {string} Lowercase hex digest
+ */
+export async function sha256Hex(bytes) {
+    const subtle = globalThis.crypto?.subtle || (await import('crypto')).webcrypto.subtle;
+    const digest = await subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get the UTF-8 encoded size of a string without encoding it
+ * @param {string} str - String to measure
+ * @returns {number} Size in bytes
+ */
+function utf8Length(str) {
+    let length = 0;
+
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        if (code < 0x80) {
+            length += 1;
+        } else if (code < 0x800) {
+            length += 2;
+        } else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < str.length &&
+            str.charCodeAt(i + 1) >= 0xDC00 && str.charCodeAt(i + 1) <= 0xDFFF) {
+            // Surrogate pair - one 4-byte character
+            length += 4;
+            i++;
+        } else {
+            length += 3;
+        }
+    }
+
+    return length;
+}
+
+/**
+ * Get the base64-encoded length of some data
+ * @param {number} bytes - Unencoded size in bytes
+ * @returns {number} Encoded size in bytes
+ */
+function base64Length(bytes) {
+    return 4 * Math.ceil(bytes / 3);
+}
+
+/**
+ * Base64-encode bytes (works in browsers, workers and Node.js)
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
 /**
  * Escape special XML characters
  * @param {string} str - String to escape
@@ -225,8 +401,8 @@ export async function estimateTotalSize(mappedData, attachmentsPath, getFileSize
 
     // Add attachment sizes
     for (const record of mappedData) {
-        if (record.attachment) {
-            const attachmentPath = `${attachmentsPath}\\${record.attachment}`;
+        for (const attachmentName of getAttachmentNames(record).filter(Boolean)) {
+            const attachmentPath = `${attachmentsPath}\\${attachmentName}`;
             try {
                 const size = await getFileSize(attachmentPath);
                 // Base64 encoding increases size by ~33%
@@ -0,0 +1,79 @@
+/**
+ * MyKad Module
+ * Structural checks for Malaysian IC numbers (YYMMDD-PB-###G, entered as 12 digits)
+ */
+
+import { findCode } from './reference-data.js';
+
+// Excel turns long numbers into scientific notation, e.g. 8.00101E+11
+const SCIENTIFIC_NOTATION_REGEX = /^\d+(\.\d+)?E\+?\d+$/i;
+
+// IC written with separators, e.g. 800101-14-5566
+const FORMATTED_IC_REGEX = /^\d{6}[-\s]\d{2}[-\s]\d{4}$/;
+
+/**
+ * Check an IC number
+ * @param {string|number} value - IC number from the data file
+ * @param {string|number} [nationality] - Nationality code of the same party
+ * @returns {Array} Problems found: { errorType, severity ('error'|'warning'), message }
+ */
+export function checkIcNumber(value, nationality) {
+    const ic = String(value).trim();
+
+    if (SCIENTIFIC_NOTATION_REGEX.test(ic)) {
+        return [problem('IC_SCIENTIFIC_NOTATION',
+            `IC number "${ic}" was converted to scientific notation by Excel. Format the column as Text and re-enter the 12 digits`)];
+    }
+
+    if (FORMATTED_IC_REGEX.test(ic)) {
+        return [problem('INVALID_IC', `IC number "${ic}" must be entered without dashes or spaces (e.g. ${ic.replace(/\D/g, '')})`)];
+    }
+
+    if (!/^\d+$/.test(ic)) {
+        return [problem('INVALID_IC', `IC number "${ic}" must contain digits only`)];
+    }
+
+    if (ic.length !== 12) {
+        return [problem('INVALID_IC', `IC number "${ic}" must be 12 digits, got ${ic.length}`)];
+    }
+
+    const problems = [];
+
+    if (!isValidBirthDate(ic.slice(0, 6))) {
+        problems.push(problem('INVALID_IC', `IC number "${ic}" does not start with a valid birth date (YYMMDD): ${ic.slice(0, 6)}`));
+    }
+
+    const birthPlace = findCode('icBirthPlace', ic.slice(6, 8));
+    if (!birthPlace) {
+        problems.push(problem('INVALID_IC', `IC number "${ic}" has an invalid place-of-birth code: ${ic.slice(6, 8)}`));
+    } else if (birthPlace.foreign && String(nationality).trim() === '1') {
+        problems.push(problem('IC_NATIONALITY_MISMATCH',
+            `IC number "${ic}" has a foreign place-of-birth code (${ic.slice(6, 8)} = ${birthPlace.label}) but Nationality is 1 (Citizen). Check the IC and Nationality`,
+            'warning'));
+    }
+
+    return problems;
+}
+
+/**
+ * Check that YYMMDD is a real date in either the 1900s or the 2000s
+ * @param {string} yymmdd - First 6 digits of the IC
+ * @returns {boolean} True if the date exists
+ */
+function isValidBirthDate(yymmdd) {
+    const yy = parseInt(yymmdd.slice(0, 2), 10);
+    const month = parseInt(yymmdd.slice(2, 4), 10);
+    const day = parseInt(yymmdd.slice(4, 6), 10);
+
+    if (month < 1 || month > 12 || day < 1) return false;
+
+    // Feb 29 is only valid in a leap year of one of the two possible centuries
+    return [1900 + yy, 2000 + yy].some(year => day <= new Date(year, month, 0).getDate());
+}
+
+/**
+ * Build a problem entry
+ */
+function problem(errorType, message, severity = 'error') {
+    return { errorType, severity, message };
+}
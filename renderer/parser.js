@@ -3,15 +3,18 @@
  * Parses data files and maps columns to XML field structure
  */
 
-// XLSX is loaded via script tag in index.html
-// This module uses window.XLSX
+// XLSX is loaded via script tag in index.html (window.XLSX).
+// Outside the browser (CLI, server) the npm package is imported instead.
 let XLSX = null;
 
 async function loadXLSX() {
     if (!XLSX) {
-        // Wait for XLSX to be available (loaded via script tag)
-        if (typeof window !== 'undefined' && window.XLSX) {
-            XLSX = window.XLSX;
+        if (globalThis.XLSX) {
+            XLSX = globalThis.XLSX;
+        } else if (typeof window === 'undefined') {
+            // Node.js - use the installed xlsx package
+            const mod = await import('xlsx');
+            XLSX = mod.default || mod;
         } else {
             // Wait a bit and retry (script might still be loading)
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -99,13 +102,47 @@ const COLUMN_MAP = {
     'Attachment Filename': 'attachment'
 };
 
+// Fields holding dates (formatted to DD/MM/YYYY)
+const DATE_FIELDS = ['instrumentDate', 'instrumentDateReceive'];
+
+// Numeric fields (written without thousands separators or "RM", as the STAMPS schema requires)
+export const NUMBER_FIELDS = ['subsidiary', 'typeOfInstrument', 'consideration', 'noOfCopy'];
+
+// An amount as Excel formats it, e.g. "250,000.00" or "RM 1,000": thousands separators in groups of three
+const FORMATTED_NUMBER_REGEX = /^(?:RM\s*)?(-?\d{1,3}(?:,\d{3})+|-?\d+)(\.\d+)?$/i;
+
+// Party columns without the party word: 'Name' -> 'name', 'Address 1' -> 'street1'
+const PARTY_COLUMNS = Object.fromEntries(
+    Object.entries(COLUMN_MAP)
+        .filter(([, xmlPath]) => xmlPath.startsWith('transferor.'))
+        .map(([excelHeader, xmlPath]) => [excelHeader.slice('Transferor '.length), xmlPath.split('.')[1]])
+);
+
+// Repeated party column groups, e.g. "Transferee 2 Name"
+const NUMBERED_PARTY_HEADER_REGEX = /^(transferor|transferee)\s+(\d+)\s+(.+)$/i;
+
+// Field paths of additional parties, e.g. "transferee[2].name"
+export const NUMBERED_PARTY_PATH_REGEX = /^(transferor|transferee)\[(\d+)\]\.(\w+)$/;
+
+// Linked sheet listing additional parties: Ref No, Role and the party columns
+const PARTIES_SHEET_REGEX = /^parties$/i;
+
+// Linked sheet listing extra attachments: Ref No and Attachment Filename, one file per row
+const ATTACHMENTS_SHEET_REGEX = /^attachments$/i;
+
+// Separators between filenames in the attachment column
+const ATTACHMENT_SEPARATOR_REGEX = /[;|\n]/;
+
 /**
  * Parse Excel or CSV file buffer
+ * Reads the data sheet detected by detectDataSheet, or combines the sheets named in options.sheets.
+ * Rows from combined sheets are numbered "Sheet!Row".
  * @param {ArrayBuffer} buffer - File buffer
  * @param {string} filename - Original filename
- * @returns {Object} Parsed data with headers and rows
+ * @param {Object} [options] - { sheets: sheet names to read, columnMap: source header -> field path (defaults to COLUMN_MAP) }
+ * @returns {Object} Parsed data with headers, rows, row numbers, sheet list and the sheets read
  */
-export async function parseFile(buffer, filename) {
+export async function parseFile(buffer, filename, options = {}) {
     await loadXLSX();
 
     const workbook = XLSX.read(buffer, {
@@ -114,59 +151,379 @@ export async function parseFile(buffer, filename) {
         dateNF: 'dd/mm/yyyy'
     });
 
-    // Get first sheet
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
+    // Read every sheet once - headers and row counts drive sheet detection and the sheet picker
+    const sheetData = workbook.SheetNames.map(name => readSheet(workbook.Sheets[name], name));
+    const sheets = sheetData.map(({ name, headers, rows }) => ({
+        name,
+        rowCount: rows.length,
+        headers,
+        matchCount: countTemplateHeaders(headers),
+        isParties: PARTIES_SHEET_REGEX.test(name),
+        isAttachments: ATTACHMENTS_SHEET_REGEX.test(name)
+    }));
+
+    // Rows of the linked Parties and Attachments sheets
+    const partiesSheet = sheetData.find(sheet => PARTIES_SHEET_REGEX.test(sheet.name));
+    const attachmentsSheet = sheetData.find(sheet => ATTACHMENTS_SHEET_REGEX.test(sheet.name));
+    const linkedRows = {
+        parties: partiesSheet ? readPartyRows(partiesSheet) : [],
+        attachments: attachmentsSheet ? readAttachmentRows(attachmentsSheet) : []
+    };
+
+    const selectedSheets = options.sheets && options.sheets.length > 0
+        ? options.sheets
+        : [detectDataSheet(sheets)];
+
+    for (const name of selectedSheets) {
+        if (!workbook.SheetNames.includes(name)) {
+            throw new Error(`Sheet not found: ${name}. Sheets in ${filename}: ${workbook.SheetNames.join(', ')}`);
+        }
+    }
+
+    // Combine the selected sheets, headers in order of first appearance
+    const headers = [];
+    const rows = [];
+    const rowNumbers = [];
+    const combined = selectedSheets.length > 1;
+
+    for (const name of selectedSheets) {
+        const sheet = sheetData.find(s => s.name === name);
+        for (const header of sheet.headers) {
+            if (!headers.includes(header)) headers.push(header);
+        }
+        sheet.rows.forEach((row, index) => {
+            rows.push(row);
+            rowNumbers.push(combined ? `${name}!${sheet.rowNumbers[index]}` : sheet.rowNumbers[index]);
+        });
+    }
+
+    const mappedData = mapRows(rows, options.columnMap || buildColumnMap(headers), rowNumbers);
+    const unlinkedRows = attachLinkedRows(mappedData, linkedRows);
+
+    return {
+        headers,
+        rows,
+        rowNumbers,
+        mappedData,
+        linkedRows,
+        unlinkedRows,
+        sheets,
+        selectedSheets
+    };
+}
+
+/**
+ * Default column map for a file: the template headers plus any repeated party column groups
+ * @param {string[]} headers - Source headers
+ * @returns {Object} Source header -> field path
+ */
+export function buildColumnMap(headers) {
+    const columnMap = { ...COLUMN_MAP };
+    for (const header of headers) {
+        const xmlPath = getNumberedPartyField(header);
+        if (xmlPath) columnMap[header] = xmlPath;
+    }
+    return columnMap;
+}
+
+/**
+ * Field path for a repeated party column header
+ * "Transferee 2 Name" -> "transferee[2].name"; party 1 is the main party ("transferee.name")
+ * @param {string} header - Source header
+ * @returns {string|null} Field path, or null if the header is not a party column group
+ */
+export function getNumberedPartyField(header) {
+    const match = String(header).trim().match(NUMBERED_PARTY_HEADER_REGEX);
+    if (!match) return null;
+
+    const field = findPartyColumn(match[3]);
+    if (!field) return null;
+
+    const role = match[1].toLowerCase();
+    const number = parseInt(match[2], 10);
+    return number <= 1 ? `${role}.${field}` : `${role}[${number}].${field}`;
+}
+
+/**
+ * Party field for a party column header without the party word ("Name", "Address 1")
+ * @param {string} header - Header text
+ * @returns {string|null} Party field
+ */
+function findPartyColumn(header) {
+    const normalized = String(header).toLowerCase().replace(/\s+/g, ' ').trim();
+    const entry = Object.entries(PARTY_COLUMNS).find(([column]) => column.toLowerCase() === normalized);
+    return entry ? entry[1] : null;
+}
+
+/**
+ * Read the rows of the linked Parties sheet
+ * @param {Object} sheet - Sheet from readSheet
+ * @returns {Array} [{ refNo, role, fields, rowNumber }]
+ */
+function readPartyRows(sheet) {
+    return sheet.rows.map((row, index) => {
+        const party = { refNo: '', role: '', fields: {}, rowNumber: `${sheet.name}!${sheet.rowNumbers[index]}` };
+
+        for (const [header, value] of Object.entries(row)) {
+            const normalized = header.toLowerCase().replace(/\s+/g, ' ').trim();
+            if (normalized === 'ref no') {
+                party.refNo = String(value).trim();
+            } else if (normalized === 'role') {
+                party.role = String(value).trim().toLowerCase();
+            } else {
+                const field = findPartyColumn(header);
+                if (field) party.fields[field] = value;
+            }
+        }
+
+        return party;
+    }).filter(party => party.refNo || party.role || Object.values(party.fields).some(value => value !== ''));
+}
+
+/**
+ * Read the rows of the linked Attachments sheet
+ * @param {Object} sheet - Sheet from readSheet
+ * @returns {Array} [{ refNo, filenames, rowNumber }]
+ */
+function readAttachmentRows(sheet) {
+    return sheet.rows.map((row, index) => {
+        const attachmentRow = { refNo: '', filenames: [], rowNumber: `${sheet.name}!${sheet.rowNumbers[index]}` };
+
+        for (const [header, value] of Object.entries(row)) {
+            const normalized = header.toLowerCase().replace(/\s+/g, ' ').trim();
+            if (normalized === 'ref no') {
+                attachmentRow.refNo = String(value).trim();
+            } else if (['attachment filename', 'attachment', 'filename only', 'filename'].includes(normalized)) {
+                attachmentRow.filenames.push(...splitAttachmentList(value));
+            }
+        }
+
+        return attachmentRow;
+    }).filter(attachmentRow => attachmentRow.refNo || attachmentRow.filenames.length > 0);
+}
+
+/**
+ * Split an attachment cell into filenames ("agreement.pdf; schedule.pdf")
+ * @param {*} value - Cell value
+ * @returns {string[]} Filenames
+ */
+export function splitAttachmentList(value) {
+    if (value === undefined || value === null) return [];
+    return String(value)
+        .split(ATTACHMENT_SEPARATOR_REGEX)
+        .map(filename => filename.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Attach the rows of the linked sheets (Parties, Attachments) to their records by Ref No
+ * @param {Array} mappedData - Mapped records (modified in place)
+ * @param {Object} linkedRows - { parties, attachments } from parseFile
+ * @returns {Array} Rows that could not be attached: [{ rowNumber, refNo, reason }]
+ */
+export function attachLinkedRows(mappedData, linkedRows) {
+    return [
+        ...attachParties(mappedData, linkedRows?.parties),
+        ...attachAttachments(mappedData, linkedRows?.attachments)
+    ];
+}
+
+/**
+ * Find the records with a Ref No
+ * @param {Array} mappedData - Mapped records
+ * @param {string} refNo - Ref No from a linked sheet
+ * @returns {Array} Matching records (empty for a blank Ref No)
+ */
+function findRecordsByRefNo(mappedData, refNo) {
+    return refNo ? mappedData.filter(record => String(record.refNo ?? '').trim() === refNo) : [];
+}
+
+/**
+ * Add Attachments sheet rows to their records' attachment lists
+ * @param {Array} mappedData - Mapped records (modified in place)
+ * @param {Array} attachmentRows - Rows from the Attachments sheet
+ * @returns {Array} Rows that could not be attached
+ */
+function attachAttachments(mappedData, attachmentRows) {
+    const unlinked = [];
+
+    for (const attachmentRow of attachmentRows || []) {
+        const records = findRecordsByRefNo(mappedData, attachmentRow.refNo);
+        if (records.length === 0) {
+            unlinked.push({ rowNumber: attachmentRow.rowNumber, refNo: attachmentRow.refNo, reason: `No record with Ref No "${attachmentRow.refNo}"` });
+            continue;
+        }
+
+        for (const record of records) {
+            for (const filename of attachmentRow.filenames) {
+                if (!record.attachments.includes(filename)) record.attachments.push(filename);
+            }
+        }
+    }
+
+    return unlinked;
+}
+
+/**
+ * Attach Parties sheet rows to their records as additional parties
+ * Parties are numbered after the main party and any repeated column groups of the same role
+ * @param {Array} mappedData - Mapped records (modified in place)
+ * @param {Array} partyRows - Rows from the Parties sheet
+ * @returns {Array} Rows that could not be attached
+ */
+function attachParties(mappedData, partyRows) {
+    const unlinked = [];
+
+    for (const partyRow of partyRows || []) {
+        if (partyRow.role !== 'transferor' && partyRow.role !== 'transferee') {
+            unlinked.push({ rowNumber: partyRow.rowNumber, refNo: partyRow.refNo, reason: `Role must be Transferor or Transferee, got "${partyRow.role}"` });
+            continue;
+        }
+
+        const records = findRecordsByRefNo(mappedData, partyRow.refNo);
+        if (records.length === 0) {
+            unlinked.push({ rowNumber: partyRow.rowNumber, refNo: partyRow.refNo, reason: `No record with Ref No "${partyRow.refNo}"` });
+            continue;
+        }
 
+        for (const record of records) {
+            const sameRole = record.additionalParties.filter(party => party.role === partyRow.role);
+            const number = sameRole.reduce((max, party) => Math.max(max, party.number), 1) + 1;
+            record.additionalParties.push({
+                role: partyRow.role,
+                number,
+                fields: { ...partyRow.fields },
+                rowNumber: partyRow.rowNumber
+            });
+        }
+    }
+
+    return unlinked;
+}
+
+/**
+ * Read one worksheet into rows keyed by header
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {string} name - Sheet name
+ * @returns {Object} { name, headers, rows, rowNumbers } - rowNumbers are the Excel row of each row
+ */
+function readSheet(worksheet, name) {
     // Convert to JSON array
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
         raw: false,
         defval: ''
     });
 
-    if (jsonData.length === 0) {
-        return { headers: [], rows: [], mappedData: [] };
-    }
+    return {
+        name,
+        // Get headers from first row
+        headers: rows.length > 0 ? Object.keys(rows[0]) : [],
+        rows,
+        // SheetJS records the 0-based sheet row; blank rows are skipped so the index alone is not enough
+        rowNumbers: rows.map((row, index) => row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2)
+    };
+}
+
+/**
+ * Count headers that are template headers (ignoring case and spacing)
+ * @param {string[]} headers - Sheet headers
+ * @returns {number} Number of template headers
+ */
+function countTemplateHeaders(headers) {
+    const normalize = (header) => String(header).toLowerCase().replace(/\s+/g, ' ').trim();
+    const templateHeaders = new Set(Object.keys(COLUMN_MAP).map(normalize));
+    return headers.filter(header => templateHeaders.has(normalize(header))).length;
+}
 
-    // Get headers from first row
-    const headers = Object.keys(jsonData[0]);
+/**
+ * Pick the sheet holding the data: most template headers, then most rows.
+ * Empty sheets are only picked if every sheet is empty; the linked Parties and Attachments sheets are never picked.
+ * @param {Array} sheets - Sheet summaries { name, rowCount, matchCount, isParties, isAttachments }
+ * @returns {string} Sheet name
+ */
+export function detectDataSheet(sheets) {
+    const candidates = sheets.filter(sheet => sheet.rowCount > 0 && !sheet.isParties && !sheet.isAttachments);
+    if (candidates.length === 0) return sheets[0].name;
 
-    // Map data to XML structure
-    const mappedData = jsonData.map((row, index) => {
+    return candidates.reduce((best, sheet) =>
+        sheet.matchCount > best.matchCount ||
+        (sheet.matchCount === best.matchCount && sheet.rowCount > best.rowCount)
+            ? sheet
+            : best
+    ).name;
+}
+
+/**
+ * Map spreadsheet rows to the XML structure
+ * Columns without an entry in the column map are ignored
+ * @param {Array} rows - Rows keyed by source header
+ * @param {Object} columnMap - Source header -> field path
+ * @param {Array} [rowNumbers] - Row number of each row (Excel row, or "Sheet!Row" for combined sheets)
+ * @returns {Array} Mapped records
+ */
+export function mapRows(rows, columnMap, rowNumbers) {
+    return rows.map((row, index) => {
         const mapped = {
-            _rowNumber: index + 2, // Excel row (1-indexed + header)
+            _rowNumber: rowNumbers ? rowNumbers[index] : index + 2, // Excel row (1-indexed + header)
             _originalRow: row,
             transferor: {},
-            transferee: {}
+            transferee: {},
+            additionalParties: []
         };
+        const numberedParties = new Map();
 
-        for (const [excelHeader, xmlPath] of Object.entries(COLUMN_MAP)) {
-            if (row.hasOwnProperty(excelHeader)) {
-                let value = row[excelHeader];
+        for (const [excelHeader, xmlPath] of Object.entries(columnMap)) {
+            if (!xmlPath || !row.hasOwnProperty(excelHeader)) continue;
 
-                // Handle date formatting
-                if (excelHeader.includes('Date') && value) {
-                    value = formatDate(value);
-                }
+            let value = row[excelHeader];
+
+            // Handle date formatting
+            if (DATE_FIELDS.includes(xmlPath) && value) {
+                value = formatDate(value);
+            }
+            if (NUMBER_FIELDS.includes(xmlPath)) {
+                value = normalizeNumber(value);
+            }
 
-                // Set nested or flat property
-                if (xmlPath.includes('.')) {
-                    const [parent, child] = xmlPath.split('.');
-                    mapped[parent][child] = value;
-                } else {
-                    mapped[xmlPath] = value;
+            // Set nested or flat property
+            const numbered = xmlPath.match(NUMBERED_PARTY_PATH_REGEX);
+            if (numbered) {
+                const [, role, number, field] = numbered;
+                const key = `${role}[${number}]`;
+                if (!numberedParties.has(key)) {
+                    numberedParties.set(key, { role, number: parseInt(number, 10), fields: {}, rowNumber: null });
                 }
+                numberedParties.get(key).fields[field] = value;
+            } else if (xmlPath.includes('.')) {
+                const [parent, child] = xmlPath.split('.');
+                mapped[parent][child] = value;
+            } else {
+                mapped[xmlPath] = value;
             }
         }
 
+        // Attachment column may list several files
+        mapped.attachments = [...new Set(splitAttachmentList(mapped.attachment))];
+
+        // Repeated party column groups left blank are not parties
+        mapped.additionalParties = [...numberedParties.values()]
+            .filter(party => Object.values(party.fields).some(value => String(value).trim() !== ''))
+            .sort((a, b) => a.role.localeCompare(b.role) || a.number - b.number);
+
         return mapped;
     });
+}
 
-    return {
-        headers,
-        rows: jsonData,
-        mappedData
-    };
+/**
+ * Remove the display formatting of a number cell, e.g. "250,000.00" -> "250000.00", "RM 1,000" -> "1000"
+ * Values that are not formatted numbers are returned unchanged, for validation to report
+ * @param {*} value - Cell value
+ * @returns {*} Plain number text, or the value as given
+ */
+export function normalizeNumber(value) {
+    if (value === null || value === undefined) return value;
+    const match = String(value).trim().match(FORMATTED_NUMBER_REGEX);
+    return match ? match[1].replace(/,/g, '') + (match[2] || '') : value;
 }
 
 /**
@@ -202,37 +559,4 @@ function formatDate(value) {
     return `${day}/${month}/${year}`;
 }
 
-/**
- * Get display headers for preview table
- * @returns {string[]} Array of important headers
- */
-export function getPreviewHeaders() {
-    return [
-        'Row',
-        'Ref No',
-        'Date Signed',
-        'Transferor Name',
-        'Transferee Name',
-        'Consideration',
-        'Attachment'
-    ];
-}
-
-/**
- * Get preview row data
- * @param {Object} mappedRow - Mapped row data
- * @returns {Object} Preview row data
- */
-export function getPreviewRow(mappedRow) {
-    return {
-        row: mappedRow._rowNumber,
-        refNo: mappedRow.refNo || '-',
-        dateSigned: mappedRow.instrumentDate || '-',
-        transferorName: mappedRow.transferor?.name || '-',
-        transfereeName: mappedRow.transferee?.name || '-',
-        consideration: mappedRow.consideration || '-',
-        attachment: mappedRow.attachment || '-'
-    };
-}
-
-export { COLUMN_MAP };
+export { COLUMN_MAP, PARTY_COLUMNS };
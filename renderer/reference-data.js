@@ -0,0 +1,451 @@
+/**
+ * Reference Data Module
+ * Single source of truth for the STAMPS code tables (LAMPIRAN C, D, E and the inline code lists)
+ * Used by the template generator, the validator and the UI
+ */
+
+/**
+ * Code tables, keyed by table id
+ * Each table carries its own version and effective date so changes to the official lists can be tracked.
+ * Tables marked complete: false only list the common codes - other codes may still be valid.
+ * An alias is a value users commonly enter instead of the code (e.g. ISO country codes).
+ */
+export const REFERENCE_TABLES = {
+    state: {
+        title: 'State Codes',
+        localTitle: 'Kod Negeri',
+        source: 'LAMPIRAN E',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Johor' },
+            { code: '2', label: 'Kedah' },
+            { code: '3', label: 'Kelantan' },
+            { code: '4', label: 'Melaka' },
+            { code: '5', label: 'Negeri Sembilan' },
+            { code: '6', label: 'Pahang' },
+            { code: '7', label: 'Perak' },
+            { code: '8', label: 'Perlis' },
+            { code: '9', label: 'Pulau Pinang' },
+            { code: '10', label: 'Sabah' },
+            { code: '11', label: 'Sarawak' },
+            { code: '12', label: 'Selangor' },
+            { code: '13', label: 'Terengganu' },
+            { code: '14', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '15', label: 'Wilayah Persekutuan Labuan' },
+            { code: '16', label: 'Wilayah Persekutuan Putrajaya' },
+            { code: '17', label: 'Luar Negara (Foreign)' }
+        ]
+    },
+
+    country: {
+        title: 'Country Codes',
+        localTitle: 'Kod Negara',
+        source: 'LAMPIRAN C',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: false,
+        codes: [
+            { code: '146', label: 'MALAYSIA', alias: 'MY' },
+            { code: '187', label: 'SINGAPORE', alias: 'SG' },
+            { code: '99', label: 'INDIA', alias: 'IN' },
+            { code: '43', label: 'CHINA', alias: 'CN' },
+            { code: '95', label: 'INDONESIA', alias: 'ID' },
+            { code: '204', label: 'THAILAND', alias: 'TH' },
+            { code: '24', label: 'BRUNEI DARUSSALAM', alias: 'BN' },
+            { code: '167', label: 'PHILIPPINE', alias: 'PH' },
+            { code: '227', label: 'VIETNAM', alias: 'VN' },
+            { code: '107', label: 'JAPAN', alias: 'JP' },
+            { code: '250', label: 'REPUBLIC OF KOREA (SOUTH KOREA)', alias: 'KR' },
+            { code: '73', label: 'UNITED KINGDOM', alias: 'GB' },
+            { code: '219', label: 'UNITED STATES OF AMERICA', alias: 'US' },
+            { code: '11', label: 'AUSTRALIA', alias: 'AU' },
+            { code: '89', label: 'HONG KONG', alias: 'HK' },
+            { code: '214', label: 'TAIWAN', alias: 'TW' },
+            { code: '265', label: 'CHINESE TAIPEI' },
+            { code: '2', label: 'UNITED ARAB EMIRATES', alias: 'AE' },
+            { code: '181', label: 'SAUDI ARABIA', alias: 'SA' },
+            { code: '52', label: 'GERMANY', alias: 'DE' },
+            { code: '71', label: 'FRANCE', alias: 'FR' },
+            { code: '104', label: 'ITALY', alias: 'IT' },
+            { code: '155', label: 'NETHERLANDS', alias: 'NL' },
+            { code: '38', label: 'SWITZERLAND', alias: 'CH' },
+            { code: '33', label: 'CANADA', alias: 'CA' },
+            { code: '161', label: 'NEW ZEALAND', alias: 'NZ' }
+        ]
+    },
+
+    lhdnBranch: {
+        title: 'LHDN Tax Branch Codes',
+        localTitle: 'Kod Cawangan Cukai LHDN',
+        source: 'LAMPIRAN D',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Johor Bahru' },
+            { code: '2', label: 'Melaka' },
+            { code: '3', label: 'Seremban' },
+            { code: '4', label: 'Taiping' },
+            { code: '5', label: 'Ipoh' },
+            { code: '6', label: 'Teluk Intan' },
+            { code: '7', label: 'Kota Bahru' },
+            { code: '9', label: 'Pulau Pinang' },
+            { code: '10', label: 'Kuantan' },
+            { code: '12', label: 'Jalan Duta' },
+            { code: '13', label: 'Kluang' },
+            { code: '15', label: 'Kuala Terengganu' },
+            { code: '16', label: 'Shah Alam' },
+            { code: '17', label: 'Raub' },
+            { code: '18', label: 'Kangar' },
+            { code: '19', label: 'KL Bandar' },
+            { code: '20', label: 'Bukit Mertajam' },
+            { code: '21', label: 'Klang' },
+            { code: '22', label: 'Alor Setar' },
+            { code: '24', label: 'Muar' },
+            { code: '25', label: 'Cheras' },
+            { code: '26', label: 'Wangsa Maju' },
+            { code: '27', label: 'Sungai Petani' },
+            { code: '28', label: 'Petaling Jaya' },
+            { code: '29', label: 'Temerloh' },
+            { code: '30', label: 'Kota Kinabalu' },
+            { code: '31', label: 'Sandakan' },
+            { code: '32', label: 'Tawau' },
+            { code: '33', label: 'Keningau' },
+            { code: '40', label: 'Kuching' },
+            { code: '41', label: 'Sibu' },
+            { code: '42', label: 'Miri' },
+            { code: '43', label: 'Bintulu' },
+            { code: '51', label: 'Labuan' },
+            { code: '52', label: 'Bangi' }
+        ]
+    },
+
+    nationality: {
+        title: 'Nationality Codes',
+        localTitle: 'Kod Kewarganegaraan',
+        source: 'STAMPS Bulk Specification',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Citizen', localLabel: 'Warganegara' },
+            { code: '2', label: 'Non-Citizen', localLabel: 'Bukan Warganegara' },
+            { code: '3', label: 'Permanent Resident', localLabel: 'Pemastautin Tetap' }
+        ]
+    },
+
+    businessType: {
+        title: 'Business Type Codes',
+        localTitle: 'Kod Jenis Perniagaan',
+        source: 'STAMPS Bulk Specification',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Local', localLabel: 'Tempatan' },
+            { code: '2', label: 'Foreign', localLabel: 'Asing' }
+        ]
+    },
+
+    partyType: {
+        title: 'Party Type Codes',
+        localTitle: 'Kod Jenis Pihak',
+        source: 'STAMPS Bulk Specification',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '0', label: 'Individual', localLabel: 'Individu' },
+            { code: '1', label: 'Company', localLabel: 'Syarikat' }
+        ]
+    },
+
+    yesNo: {
+        title: 'Yes/No Codes (Duration, Collateral)',
+        localTitle: 'Kod Ya/Tidak',
+        source: 'STAMPS Bulk Specification',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Yes', localLabel: 'Ya' },
+            { code: '2', label: 'No', localLabel: 'Tidak' }
+        ]
+    },
+
+    principal: {
+        title: 'Principal/Subsidiary Codes',
+        localTitle: 'Kod Prinsipal/Subsidiari',
+        source: 'STAMPS Bulk Specification',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '-1', label: 'Principal' },
+            { code: '0', label: 'Subsidiary' }
+        ]
+    },
+
+    // MyKad (IC) digits 7-8. Codes marked foreign: true mean the holder was born outside Malaysia.
+    icBirthPlace: {
+        title: 'IC Place of Birth Codes',
+        localTitle: 'Kod Tempat Lahir MyKad',
+        source: 'JPN',
+        version: '2024.1',
+        effectiveDate: '2024-12-01',
+        complete: true,
+        codes: [
+            { code: '1', label: 'Johor' },
+            { code: '2', label: 'Kedah' },
+            { code: '3', label: 'Kelantan' },
+            { code: '4', label: 'Melaka' },
+            { code: '5', label: 'Negeri Sembilan' },
+            { code: '6', label: 'Pahang' },
+            { code: '7', label: 'Pulau Pinang' },
+            { code: '8', label: 'Perak' },
+            { code: '9', label: 'Perlis' },
+            { code: '10', label: 'Selangor' },
+            { code: '11', label: 'Terengganu' },
+            { code: '12', label: 'Sabah' },
+            { code: '13', label: 'Sarawak' },
+            { code: '14', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '15', label: 'Wilayah Persekutuan Labuan' },
+            { code: '16', label: 'Wilayah Persekutuan Putrajaya' },
+            { code: '21', label: 'Johor' },
+            { code: '22', label: 'Johor' },
+            { code: '23', label: 'Johor' },
+            { code: '24', label: 'Johor' },
+            { code: '25', label: 'Kedah' },
+            { code: '26', label: 'Kedah' },
+            { code: '27', label: 'Kedah' },
+            { code: '28', label: 'Kelantan' },
+            { code: '29', label: 'Kelantan' },
+            { code: '30', label: 'Melaka' },
+            { code: '31', label: 'Negeri Sembilan' },
+            { code: '32', label: 'Pahang' },
+            { code: '33', label: 'Pahang' },
+            { code: '34', label: 'Pulau Pinang' },
+            { code: '35', label: 'Pulau Pinang' },
+            { code: '36', label: 'Perak' },
+            { code: '37', label: 'Perak' },
+            { code: '38', label: 'Perak' },
+            { code: '39', label: 'Perak' },
+            { code: '40', label: 'Perlis' },
+            { code: '41', label: 'Selangor' },
+            { code: '42', label: 'Selangor' },
+            { code: '43', label: 'Selangor' },
+            { code: '44', label: 'Selangor' },
+            { code: '45', label: 'Terengganu' },
+            { code: '46', label: 'Terengganu' },
+            { code: '47', label: 'Sabah' },
+            { code: '48', label: 'Sabah' },
+            { code: '49', label: 'Sabah' },
+            { code: '50', label: 'Sarawak' },
+            { code: '51', label: 'Sarawak' },
+            { code: '52', label: 'Sarawak' },
+            { code: '53', label: 'Sarawak' },
+            { code: '54', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '55', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '56', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '57', label: 'Wilayah Persekutuan Kuala Lumpur' },
+            { code: '58', label: 'Wilayah Persekutuan Labuan' },
+            { code: '59', label: 'Negeri Sembilan' },
+            { code: '60', label: 'Brunei', foreign: true },
+            { code: '61', label: 'Indonesia', foreign: true },
+            { code: '62', label: 'Cambodia', foreign: true },
+            { code: '63', label: 'Laos', foreign: true },
+            { code: '64', label: 'Myanmar', foreign: true },
+            { code: '65', label: 'Philippines', foreign: true },
+            { code: '66', label: 'Singapore', foreign: true },
+            { code: '67', label: 'Thailand', foreign: true },
+            { code: '68', label: 'Vietnam', foreign: true },
+            { code: '71', label: 'Born outside Malaysia (before 2001)', foreign: true },
+            { code: '72', label: 'Born outside Malaysia (before 2001)', foreign: true },
+            { code: '74', label: 'China', foreign: true },
+            { code: '75', label: 'India', foreign: true },
+            { code: '76', label: 'Pakistan', foreign: true },
+            { code: '77', label: 'Saudi Arabia', foreign: true },
+            { code: '78', label: 'Sri Lanka', foreign: true },
+            { code: '79', label: 'Bangladesh', foreign: true },
+            { code: '82', label: 'Unknown state' },
+            { code: '83', label: 'Asia Pacific', foreign: true },
+            { code: '84', label: 'South America', foreign: true },
+            { code: '85', label: 'Africa', foreign: true },
+            { code: '86', label: 'Europe', foreign: true },
+            { code: '87', label: 'Britain and Ireland', foreign: true },
+            { code: '88', label: 'Middle East', foreign: true },
+            { code: '89', label: 'Far East', foreign: true },
+            { code: '90', label: 'Caribbean', foreign: true },
+            { code: '91', label: 'North America', foreign: true },
+            { code: '92', label: 'Soviet Union', foreign: true },
+            { code: '93', label: 'Other countries', foreign: true },
+            { code: '98', label: 'Stateless', foreign: true },
+            { code: '99', label: 'Refugee / unspecified', foreign: true }
+        ]
+    }
+};
+
+/**
+ * Instrument fields that hold a code: field -> code table id
+ */
+export const INSTRUMENT_CODED_FIELDS = {
+    principal: 'principal',
+    duration: 'yesNo',
+    colLand: 'yesNo',
+    colShare: 'yesNo',
+    colDeposit: 'yesNo',
+    colOthers: 'yesNo'
+};
+
+/**
+ * Party fields that hold a code (the same for transferor and transferee): field -> code table id
+ */
+export const PARTY_CODED_FIELDS = {
+    type: 'partyType',
+    nationality: 'nationality',
+    pasportCountry: 'country',
+    busType: 'businessType',
+    incomeTaxBranch: 'lhdnBranch',
+    state: 'state',
+    country: 'country'
+};
+
+/**
+ * All coded fields: field path -> code table id
+ */
+export const CODED_FIELDS = {
+    ...INSTRUMENT_CODED_FIELDS,
+    ...Object.fromEntries(['transferor', 'transferee'].flatMap(party =>
+        Object.entries(PARTY_CODED_FIELDS).map(([field, table]) => [`${party}.${field}`, table])
+    ))
+};
+
+/**
+ * Get a code table
+ * @param {string} tableId - Table id (e.g. 'state')
+ * @returns {Object} Code table
+ */
+export function getTable(tableId) {
+    const table = REFERENCE_TABLES[tableId];
+    if (!table) {
+        throw new Error(`Unknown reference table: ${tableId}`);
+    }
+    return table;
+}
+
+/**
+ * Find a code entry in a table
+ * Numeric codes match regardless of formatting, e.g. "01" or "1.0" match "1"
+ * @param {string} tableId - Table id
+ * @param {string|number} value - Code to look up
+ * @returns {Object|null} Code entry { code, label } or null
+ */
+export function findCode(tableId, value) {
+    const normalized = normalizeCode(value);
+    return getTable(tableId).codes.find(entry => entry.code === normalized) || null;
+}
+
+/**
+ * Get the label of a code
+ * @param {string} tableId - Table id
+ * @param {string|number} value - Code
+ * @returns {string} Label, or empty string if unknown
+ */
+export function getCodeLabel(tableId, value) {
+    const entry = findCode(tableId, value);
+    return entry ? entry.label : '';
+}
+
+/**
+ * Describe a table's codes in one line, e.g. "1=Local, 2=Foreign"
+ * @param {string} tableId - Table id
+ * @returns {string} Code summary
+ */
+export function describeCodes(tableId) {
+    return getTable(tableId).codes.map(entry => `${entry.code}=${entry.label}`).join(', ');
+}
+
+/**
+ * Normalize a code value for comparison
+ * @param {string|number} value - Raw value from the data file
+ * @returns {string} Normalized code
+ */
+export function normalizeCode(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value).trim();
+    // "01", "1.0" and "1" are the same numeric code
+    if (/^-?\d+(\.0+)?$/.test(str)) {
+        return String(parseInt(str, 10));
+    }
+    return str.toUpperCase();
+}
+
+/**
+ * Suggest the valid code closest to an invalid value
+ * Numbers are matched to the nearest numeric code; text is matched against labels and aliases
+ * @param {string} tableId - Table id
+ * @param {string|number} value - Invalid value
+ * @returns {Object|null} Closest code entry, or null if the table is empty
+ */
+export function suggestCode(tableId, value) {
+    const { codes } = getTable(tableId);
+    if (codes.length === 0) return null;
+
+    const normalized = normalizeCode(value);
+    const number = Number(normalized);
+
+    if (normalized !== '' && !isNaN(number)) {
+        let best = null;
+        for (const entry of codes) {
+            const distance = Math.abs(Number(entry.code) - number);
+            if (!best || distance < best.distance) {
+                best = { entry, distance };
+            }
+        }
+        return best.entry;
+    }
+
+    let best = null;
+    for (const entry of codes) {
+        const candidates = [entry.label, entry.localLabel, entry.alias].filter(Boolean).map(c => c.toUpperCase());
+
+        // An exact alias or a label that starts with the value is the best possible match
+        if (candidates.some(c => c === normalized || c.startsWith(normalized))) {
+            return entry;
+        }
+
+        for (const candidate of candidates) {
+            const distance = editDistance(normalized, candidate);
+            if (!best || distance < best.distance) {
+                best = { entry, distance };
+            }
+        }
+    }
+    return best.entry;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
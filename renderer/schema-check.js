@@ -0,0 +1,224 @@
+/**
+ * Schema Check Module
+ * Checks generated STAMPS XML against the bundled schema before it is offered for download
+ */
+
+import { STAMPS_SCHEMA, SCHEMA_TYPES } from './stamps-schema.js';
+
+// Tags, processing instructions and comments
+const TOKEN_REGEX = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|</g;
+
+// Attributes of a start tag
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// '&' that does not start a character or entity reference
+const BARE_AMPERSAND_REGEX = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+// Violations reported per batch before giving up on it
+const MAX_VIOLATIONS = 100;
+
+/**
+ * Check every generated batch against the schema
+ * @param {Array} batches - Batches returned by generateXml ({ filename, content: Blob })
+ * @param {Object} [schema] - Schema to check against (defaults to STAMPS_SCHEMA)
+ * @returns {Promise<Array>} Violations: [{ batch, filename, refNo, path, message }] (empty when all batches are valid)
+ */
+export async function checkBatches(batches, schema = STAMPS_SCHEMA) {
+    const violations = [];
+
+    for (let i = 0; i < batches.length; i++) {
+        const text = await batches[i].content.text();
+        for (const violation of checkXml(text, schema)) {
+            violations.push({ batch: i + 1, filename: batches[i].filename, ...violation });
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Check one XML document against the schema
+ * @param {string} xml - Document text
+ * @param {Object} [schema] - Schema to check against (defaults to STAMPS_SCHEMA)
+ * @returns {Array} Violations: [{ refNo, path, message }] - refNo is that of the enclosing instrument ('' outside one)
+ */
+export function checkXml(xml, schema = STAMPS_SCHEMA) {
+    const violations = [];
+    const stack = [];
+    let rootSeen = false;
+    let position = 0;
+
+    const report = (frame, message, path = frame ? frame.path : '/') => {
+        const instrument = stack.find(f => f.name === 'instrument') || (frame?.name === 'instrument' ? frame : null);
+        violations.push({ instrument, path, message });
+    };
+
+    for (const match of xml.matchAll(TOKEN_REGEX)) {
+        const [token, closing, name, attributes, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+
+        checkText(xml.slice(position, match.index), parent, report);
+        position = match.index + token.length;
+
+        if (token.startsWith('<?') || token.startsWith('<!--')) continue;
+
+        if (!name) {
+            report(parent, 'Unescaped "<" in content');
+            break;
+        }
+
+        if (closing) {
+            if (!parent || parent.name !== name) {
+                report(parent, `Closing tag </${name}> does not match ${parent ? `<${parent.name}>` : 'any open element'}`);
+                break;
+            }
+            stack.pop();
+            closeElement(parent, xml.slice(parent.contentStart, match.index), stack[stack.length - 1], report);
+            continue;
+        }
+
+        // Start tag
+        let path;
+        if (!parent) {
+            if (rootSeen || name !== schema.root) {
+                report(null, `Unexpected root element <${name}>, expected a single <${schema.root}>`, `/${name}`);
+                break;
+            }
+            rootSeen = true;
+            path = `/${name}`;
+        } else {
+            path = openChild(parent, name, report);
+        }
+
+        const frame = {
+            name,
+            path,
+            definition: schema.elements[name] || null,
+            counts: {},
+            lastChild: -1,
+            contentStart: position,
+            refNo: ''
+        };
+        checkAttributes(frame, attributes, report);
+
+        if (selfClosing) {
+            closeElement(frame, '', parent, report);
+        } else {
+            stack.push(frame);
+        }
+
+        if (violations.length >= MAX_VIOLATIONS) break;
+    }
+
+    if (!rootSeen) {
+        report(null, `Missing <${schema.root}> element`);
+    } else if (stack.length > 0 && violations.length < MAX_VIOLATIONS) {
+        report(stack[stack.length - 1], `Element <${stack[stack.length - 1].name}> is not closed`);
+    }
+
+    return violations.map(({ instrument, path, message }) => ({
+        refNo: instrument ? instrument.refNo : '',
+        path,
+        message
+    }));
+}
+
+/**
+ * Record a child element against its parent's content model
+ * @returns {string} Path of the child, e.g. /bulkstamping/instrument[2]/transferor[1]
+ */
+function openChild(parent, name, report) {
+    // Children of an unknown element are not checked (the element itself was reported)
+    if (!parent.definition) return `${parent.path}/${name}`;
+
+    const count = (parent.counts[name] || 0) + 1;
+    parent.counts[name] = count;
+
+    const children = parent.definition?.children;
+    const index = children ? children.findIndex(child => child.name === name) : -1;
+    const repeatable = index >= 0 && children[index].max > 1;
+    const path = `${parent.path}/${name}${repeatable ? `[${count}]` : ''}`;
+
+    if (!children) {
+        report(parent, `<${parent.name}> cannot contain elements, found <${name}>`, path);
+    } else if (index < 0) {
+        report(parent, `Unexpected element <${name}> in <${parent.name}>`, path);
+    } else if (index < parent.lastChild) {
+        report(parent, `<${name}> is out of order: it must come before <${children[parent.lastChild].name}>`, path);
+    } else if (count > children[index].max) {
+        report(parent, `<${name}> may appear only ${children[index].max === 1 ? 'once' : `${children[index].max} times`} in <${parent.name}>`, path);
+    }
+
+    if (index >= 0) parent.lastChild = Math.max(parent.lastChild, index);
+    return path;
+}
+
+/**
+ * Check the required attributes of an element
+ */
+function checkAttributes(frame, attributes, report) {
+    const defined = frame.definition?.attributes;
+    if (!defined) return;
+
+    const present = new Set([...attributes.matchAll(ATTRIBUTE_REGEX)].map(([, attribute]) => attribute));
+    for (const [attribute, { required }] of Object.entries(defined)) {
+        if (required && !present.has(attribute)) {
+            report(frame, `<${frame.name}> is missing the "${attribute}" attribute`);
+        }
+    }
+}
+
+/**
+ * Check a closed element: missing children for containers, content type for leaves
+ * @param {Object} frame - Element being closed
+ * @param {string} content - Raw content between its tags
+ * @param {Object|undefined} parent - Enclosing element
+ * @param {Function} report - Violation reporter
+ */
+function closeElement(frame, content, parent, report) {
+    const { definition } = frame;
+    if (!definition) return; // Reported when it was opened
+
+    if (definition.children) {
+        for (const child of definition.children) {
+            if ((frame.counts[child.name] || 0) < child.min) {
+                report(frame, `Missing <${child.name}> in <${frame.name}>`);
+            }
+        }
+        return;
+    }
+
+    const type = SCHEMA_TYPES[definition.type];
+    const value = definition.type === 'base64' ? content.replace(/\s+/g, '') : content.trim();
+
+    if (definition.fixed !== undefined && value !== definition.fixed) {
+        report(frame, `<${frame.name}> must be ${definition.fixed}, found "${truncate(value)}"`);
+    } else if (value && type.pattern && !type.pattern.test(value)) {
+        report(frame, `<${frame.name}> must be ${type.description}, found "${truncate(value)}"`);
+    }
+
+    // Violations inside an instrument are reported with its refNo
+    if (frame.name === 'refNo' && parent) {
+        parent.refNo = value;
+    }
+}
+
+/**
+ * Check text between tags: only leaf elements may hold text, and '&' must be escaped
+ */
+function checkText(text, parent, report) {
+    if (!text) return;
+    if (BARE_AMPERSAND_REGEX.test(text)) {
+        report(parent, 'Unescaped "&" in content');
+    }
+    if (parent?.definition?.children && text.trim()) {
+        report(parent, `<${parent.name}> cannot contain text, found "${truncate(text.trim())}"`);
+    }
+}
+
+/**
+ * Shorten a value for a message
+ */
+function truncate(value) {
+    return value.length > 40 ? `${value.slice(0, 40)}...` : value;
+}
@@ -0,0 +1,191 @@
+/**
+ * Stamp Duty Module
+ * Estimates the duty payable on each instrument from the rate tables in duty-rates.js,
+ * so the STAMPS account can be funded before submission
+ */
+
+import { getRateTable, INSTRUMENT_TYPE_ITEMS } from './duty-rates.js';
+import { normalizeCode } from './reference-data.js';
+
+// Columns of the per-record duty report
+export const DUTY_COLUMNS = ['Row', 'Ref No', 'Instrument', 'Consideration', 'Copies', 'Duty', 'Relief', 'Copy Duty', 'Total Duty', 'Rate Table', 'Notes'];
+
+/**
+ * Estimate the duty of one record
+ * @param {Object} record - Mapped record
+ * @returns {Object} { rateVersion, instrument, duty, relief, copies, copyDuty, total, notes } -
+ *   amounts in ringgit; total is null when the record cannot be estimated (the notes say why)
+ */
+export function estimateDuty(record) {
+    const table = getRateTable(record.instrumentDate);
+    const typeCode = normalizeCode(record.typeOfInstrument);
+    const item = INSTRUMENT_TYPE_ITEMS[typeCode];
+    const rate = item ? table.instruments[item] : null;
+    const estimate = {
+        rateVersion: table.version,
+        instrument: rate ? `${rate.label} (item ${item})` : '',
+        duty: null,
+        relief: 0,
+        copies: 0,
+        copyDuty: 0,
+        total: null,
+        notes: []
+    };
+
+    if (!rate) {
+        if (!typeCode) {
+            estimate.notes.push('Instrument type is missing');
+        } else if (!item) {
+            estimate.notes.push(`Instrument type ${typeCode} is not mapped to a First Schedule item (INSTRUMENT_TYPE_ITEMS in duty-rates.js)`);
+        } else {
+            estimate.notes.push(`No rate for First Schedule item ${item} in rate table ${table.version}`);
+        }
+        return estimate;
+    }
+
+    let duty;
+    if (rate.type === 'fixed') {
+        duty = rate.duty;
+    } else {
+        const consideration = parseAmount(record.consideration);
+        if (consideration === null) {
+            estimate.notes.push('Consideration is missing or not a number');
+            return estimate;
+        }
+        duty = rate.type === 'tiered'
+            ? tieredDuty(consideration, rate)
+            : Math.ceil(consideration / rate.per) * rate.duty;
+    }
+    estimate.duty = duty;
+
+    // Exemption first, then remission of what is left
+    const exemption = normalizeCode(record.exemption);
+    if (exemption) {
+        const percent = table.exemptions[exemption]?.percent;
+        if (percent === undefined) {
+            estimate.notes.push(`Exemption ${exemption} is not in rate table ${table.version}; duty shown before exemption`);
+        } else {
+            estimate.relief += roundCents(duty * percent / 100);
+            estimate.notes.push(`Exemption ${exemption} (${percent}%)`);
+        }
+    }
+    const remission = normalizeCode(record.remession);
+    if (remission) {
+        const percent = table.remissions[remission]?.percent;
+        if (percent === undefined) {
+            estimate.notes.push(`Remission ${remission} is not in rate table ${table.version}; duty shown before remission`);
+        } else {
+            estimate.relief += roundCents((duty - estimate.relief) * percent / 100);
+            estimate.notes.push(`Remission ${remission} (${percent}%)`);
+        }
+    }
+    const payable = duty - estimate.relief;
+
+    // Each copy pays the duty of the original, up to the copy duty
+    estimate.copies = parseCopies(record.noOfCopy);
+    estimate.copyDuty = estimate.copies * Math.min(payable, table.copyDuty);
+
+    estimate.total = roundCents(payable + estimate.copyDuty);
+    return estimate;
+}
+
+/**
+ * Total the estimates of several records
+ * @param {Array} estimates - Results of estimateDuty
+ * @returns {Object} { total, estimatedCount, unestimatedCount }
+ */
+export function summarizeDuty(estimates) {
+    const estimated = estimates.filter(estimate => estimate.total !== null);
+    return {
+        total: roundCents(estimated.reduce((sum, estimate) => sum + estimate.total, 0)),
+        estimatedCount: estimated.length,
+        unestimatedCount: estimates.length - estimated.length
+    };
+}
+
+/**
+ * Per-record duty report rows, with a total row
+ * @param {Array} mappedData - Records
+ * @returns {Array} Rows of DUTY_COLUMNS values
+ */
+export function buildDutyRows(mappedData) {
+    const estimates = mappedData.map(estimateDuty);
+    const summary = summarizeDuty(estimates);
+
+    return [
+        ...mappedData.map((record, index) => {
+            const estimate = estimates[index];
+            return [
+                record._rowNumber,
+                record.refNo ?? '',
+                estimate.instrument,
+                record.consideration ?? '',
+                estimate.copies,
+                estimate.duty ?? '',
+                estimate.relief,
+                estimate.copyDuty,
+                estimate.total ?? '',
+                estimate.rateVersion,
+                estimate.notes.join('; ')
+            ];
+        }),
+        ['Total', '', '', '', '', '', '', '', summary.total, '',
+            summary.unestimatedCount > 0 ? `${summary.unestimatedCount} record(s) not estimated` : '']
+    ];
+}
+
+/**
+ * Format a ringgit amount for display, e.g. "RM 12,345.00"
+ * @param {number|null} amount - Amount
+ * @returns {string} Formatted amount ('-' when there is none)
+ */
+export function formatDuty(amount) {
+    if (amount === null || amount === undefined) return '-';
+    const [whole, cents] = amount.toFixed(2).split('.');
+    return `RM ${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+}
+
+/**
+ * Ad valorem duty over consideration tiers
+ * @param {number} consideration - Consideration amount
+ * @param {Object} rate - Tiered rate ({ per, tiers: [{ upTo, duty }] })
+ * @returns {number} Duty
+ */
+function tieredDuty(consideration, rate) {
+    let duty = 0;
+    let lower = 0;
+    for (const tier of rate.tiers) {
+        if (consideration <= lower) break;
+        const amount = Math.min(consideration, tier.upTo) - lower;
+        duty += Math.ceil(amount / rate.per) * tier.duty;
+        lower = tier.upTo;
+    }
+    return duty;
+}
+
+/**
+ * Read an amount as entered (thousands separators and "RM" allowed)
+ * @param {*} value - Raw value
+ * @returns {number|null} Amount, or null if missing or not a number
+ */
+function parseAmount(value) {
+    const text = String(value ?? '').replace(/RM|,|\s/gi, '');
+    if (text === '') return null;
+    const amount = Number(text);
+    return isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Number of copies (0 if missing or not a whole number)
+ */
+function parseCopies(value) {
+    const copies = parseInt(value, 10);
+    return copies > 0 ? copies : 0;
+}
+
+/**
+ * Round to sen
+ */
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,101 @@
+/**
+ * STAMPS Bulk Stamping Schema
+ * Structure of a <bulkstamping> document described as data, checked by schema-check.js
+ *
+ * Element definitions:
+ *   children   - Child elements in document order: [{ name, min, max }] (max: Infinity for unbounded)
+ *   type       - Content type of a leaf element (see SCHEMA_TYPES); empty content is always allowed
+ *   fixed      - Required content of a leaf element
+ *   attributes - { name: { required } } attributes of the element
+ */
+
+// Content types of leaf elements
+export const SCHEMA_TYPES = {
+    string: { pattern: null, description: 'text' },
+    date: { pattern: /^\d{2}\/\d{2}\/\d{4}$/, description: 'a DD/MM/YYYY date' },
+    integer: { pattern: /^-?\d+$/, description: 'a whole number' },
+    decimal: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number without thousands separators' },
+    base64: { pattern: /^[A-Za-z0-9+/]*={0,2}$/, description: 'base64 data' }
+};
+
+// Party elements, in document order
+const PARTY_CHILDREN = [
+    ['type', 'integer'],
+    ['name', 'string'],
+    ['nationality', 'integer'],
+    ['icNo', 'string'],
+    ['pasportNo', 'string'],
+    ['pasportCountry', 'integer'],
+    ['rocNo', 'string'],
+    ['busType', 'integer'],
+    ['incomeTaxNo', 'string'],
+    ['incomeTaxBranch', 'integer'],
+    ['street1', 'string'],
+    ['street2', 'string'],
+    ['street3', 'string'],
+    ['postcode', 'string'],
+    ['city', 'string'],
+    ['state', 'integer'],
+    ['country', 'integer'],
+    ['telNo', 'string'],
+    ['email', 'string']
+];
+
+// Instrument fields before the parties, in document order
+const INSTRUMENT_HEAD = [
+    ['refNo', 'string'],
+    ['instrumentDate', 'date'],
+    ['instrumentDateReceive', 'date'],
+    ['principal', 'integer'],
+    ['subsidiary', 'integer'],
+    ['typeOfInstrument', 'integer'],
+    ['typeOfInstrumentOthers', 'string']
+];
+
+// Instrument fields after the parties, in document order
+const INSTRUMENT_TAIL = [
+    ['consideration', 'decimal'],
+    ['duration', 'integer'],
+    ['durationDesc', 'string'],
+    ['colLand', 'integer'],
+    ['colLandDesc', 'string'],
+    ['colShare', 'integer'],
+    ['colDeposit', 'integer'],
+    ['colOthers', 'integer'],
+    ['colOthersDesc', 'string'],
+    ['noOfCopy', 'integer'],
+    ['exemption', 'string'],
+    ['exemptionOthers', 'string'],
+    ['remession', 'string'],
+    ['remessionOthers', 'string']
+];
+
+const once = ([name]) => ({ name, min: 1, max: 1 });
+
+export const STAMPS_SCHEMA = {
+    root: 'bulkstamping',
+    elements: {
+        bulkstamping: {
+            children: [
+                { name: 'applicationType', min: 1, max: 1 },
+                { name: 'instrument', min: 1, max: Infinity }
+            ]
+        },
+        applicationType: { type: 'integer', fixed: '43' },
+        instrument: {
+            children: [
+                ...INSTRUMENT_HEAD.map(once),
+                { name: 'transferor', min: 1, max: Infinity },
+                { name: 'transferee', min: 1, max: Infinity },
+                ...INSTRUMENT_TAIL.map(once),
+                { name: 'attachment', min: 1, max: Infinity }
+            ]
+        },
+        transferor: { children: PARTY_CHILDREN.map(once) },
+        transferee: { children: PARTY_CHILDREN.map(once) },
+        attachment: { type: 'base64', attributes: { name: { required: true } } },
+        ...Object.fromEntries(
+            [...INSTRUMENT_HEAD, ...INSTRUMENT_TAIL, ...PARTY_CHILDREN].map(([name, type]) => [name, { type }])
+        )
+    }
+};
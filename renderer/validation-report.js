@@ -0,0 +1,149 @@
+/**
+ * Validation Report Module
+ * Lays out validation results as report sheets (issue list, per-field summary and duty estimate) and CSV
+ */
+
+import { getFieldDisplayName, getRecordParties } from './validator.js';
+import { DUTY_COLUMNS, buildDutyRows, estimateDuty, summarizeDuty } from './stamp-duty.js';
+
+// Columns of the issue list
+export const REPORT_COLUMNS = ['Row', 'Ref No', 'Field', 'Severity', 'Error Type', 'Value', 'Message'];
+
+// Columns of the per-field summary
+const SUMMARY_COLUMNS = ['Field', 'Errors', 'Warnings', 'Total', 'Rows Affected', 'Error Types'];
+
+/**
+ * Every issue as a report row: errors first, then warnings, each in spreadsheet order
+ * @param {Object} results - Results of validateAll
+ * @param {Array} mappedData - Validated records
+ * @returns {Array} Rows of REPORT_COLUMNS values
+ */
+export function buildIssueRows(results, mappedData) {
+    const records = indexRecordRows(mappedData);
+
+    return getSortedIssues(results, records).map(issue => [
+        issue.rowNumber,
+        records.get(String(issue.rowNumber))?.refNo ?? '',
+        getFieldDisplayName(issue.fieldName),
+        issue.severity,
+        issue.errorType,
+        issue.value ?? '',
+        issue.message
+    ]);
+}
+
+/**
+ * Issue counts per field, most frequent first
+ * @param {Object} results - Results of validateAll
+ * @returns {Array} Rows of SUMMARY_COLUMNS values
+ */
+export function buildFieldSummary(results) {
+    const fields = new Map();
+
+    for (const [severity, issues] of [['error', results.errors], ['warning', results.warnings]]) {
+        for (const issue of issues) {
+            const field = getFieldDisplayName(issue.fieldName);
+            if (!fields.has(field)) {
+                fields.set(field, { errors: 0, warnings: 0, rows: new Set(), errorTypes: new Set() });
+            }
+            const entry = fields.get(field);
+            entry[severity === 'error' ? 'errors' : 'warnings']++;
+            entry.rows.add(String(issue.rowNumber));
+            entry.errorTypes.add(issue.errorType);
+        }
+    }
+
+    return [...fields.entries()]
+        .map(([field, entry]) => [
+            field,
+            entry.errors,
+            entry.warnings,
+            entry.errors + entry.warnings,
+            entry.rows.size,
+            [...entry.errorTypes].join(', ')
+        ])
+        .sort((a, b) => b[1] - a[1] || b[3] - a[3] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Sheets of the validation report workbook
+ * @param {Object} results - Results of validateAll
+ * @param {Array} mappedData - Validated records
+ * @param {Object} [info] - { source: data file name }
+ * @returns {Object} Sheet name -> array of rows (Summary, By Field, Issues, Duty)
+ */
+export function buildReportSheets(results, mappedData, info = {}) {
+    const duty = summarizeDuty(mappedData.map(estimateDuty));
+
+    return {
+        'Summary': [
+            ['STAMPS Validation Report'],
+            [],
+            ['Source', info.source || ''],
+            ['Created', new Date().toISOString()],
+            ['Records', mappedData.length],
+            ['Valid Records', results.validCount],
+            ['Errors', results.errorCount],
+            ['Warnings', results.warningCount],
+            ['Estimated Duty (RM)', duty.total],
+            ['Records Not Estimated', duty.unestimatedCount]
+        ],
+        'By Field': [SUMMARY_COLUMNS, ...buildFieldSummary(results)],
+        'Issues': [REPORT_COLUMNS, ...buildIssueRows(results, mappedData)],
+        'Duty': [DUTY_COLUMNS, ...buildDutyRows(mappedData)]
+    };
+}
+
+/**
+ * Issue list as CSV (the per-field summary is only in the workbook)
+ * @param {Object} results - Results of validateAll
+ * @param {Array} mappedData - Validated records
+ * @returns {string} CSV text
+ */
+export function buildReportCsv(results, mappedData) {
+    return [REPORT_COLUMNS, ...buildIssueRows(results, mappedData)]
+        .map(row => row.map(toCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function toCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Record position and Ref No by row number, including Parties sheet rows
+ * @param {Array} mappedData - Records
+ * @returns {Map} Row number (as string) -> { index, refNo }
+ */
+function indexRecordRows(mappedData) {
+    const records = new Map();
+    mappedData.forEach((record, index) => {
+        const entry = { index, refNo: record.refNo ?? '' };
+        records.set(String(record._rowNumber), entry);
+        for (const party of getRecordParties(record)) {
+            if (party.rowNumber) records.set(String(party.rowNumber), entry);
+        }
+    });
+    return records;
+}
+
+/**
+ * Errors then warnings, each ordered by record position (issue order is kept within a record)
+ * @param {Object} results - Results of validateAll
+ * @param {Map} records - Row index from indexRecordRows
+ * @returns {Array} Issues with severity
+ */
+function getSortedIssues(results, records) {
+    const position = (issue) => records.get(String(issue.rowNumber))?.index ?? Infinity;
+    const sorted = (issues, severity) => issues
+        .map((issue, order) => ({ ...issue, severity, order }))
+        .sort((a, b) => position(a) - position(b) || a.order - b.order);
+
+    return [...sorted(results.errors, 'error'), ...sorted(results.warnings, 'warning')];
+}
@@ -0,0 +1,195 @@
+/**
+ * Validation Rules
+ * STAMPS data requirements described as data, evaluated by validator.js
+ *
+ * Rule properties:
+ *   field     - Field name (dot notation for instrument rules, plain name for party rules)
+ *   party     - 'both', 'transferor' or 'transferee' for party rules; omitted for instrument fields.
+ *               Party rules are evaluated for the main party and every additional party of that role.
+ *   when      - Optional condition on fields of the same scope (see below)
+ *   check     - 'required', 'date', 'number', 'code', 'format', 'icNumber' or 'fileExists' (checks each file of a list)
+ *   table     - Reference table id for 'code' checks
+ *   type      - Schema content type ('integer' or 'decimal', see SCHEMA_TYPES) for 'number' checks
+ *   pattern   - Regular expression the value must match for 'format' checks
+ *   severity  - 'error' (default) or 'warning'
+ *   errorType - Error type reported (defaults depend on the check)
+ *   message   - Message template: {field} display name, {party} / {Party} party name, {value} offending value.
+ *               'code' and 'icNumber' checks supply their own messages.
+ *
+ * Conditions:
+ *   { field, in: [values] }   - field equals one of the values
+ *   { field, empty: boolean } - field is (or is not) empty
+ *   { all: [conditions] }     - every condition holds
+ *   { any: [conditions] }     - at least one condition holds
+ */
+
+import { INSTRUMENT_CODED_FIELDS, PARTY_CODED_FIELDS, describeCodes } from './reference-data.js';
+import { STAMPS_SCHEMA, SCHEMA_TYPES } from './stamps-schema.js';
+
+// Instrument fields that must have values
+const REQUIRED_INSTRUMENT_FIELDS = [
+    'refNo',
+    'instrumentDate',
+    'principal',
+    'typeOfInstrumentOthers'
+];
+
+// Party fields that must have values (transferor and transferee)
+const REQUIRED_PARTY_FIELDS = [
+    // Basic Info
+    'type',
+    'name',
+
+    // Address & Contact
+    'street1',
+    'street2',
+    'postcode',
+    'city',
+    'state',
+    'country',
+    'telNo'
+];
+
+// Mandatory fields as full paths
+export const MANDATORY_FIELDS = [
+    ...REQUIRED_INSTRUMENT_FIELDS,
+    ...REQUIRED_PARTY_FIELDS.map(field => `transferor.${field}`),
+    ...REQUIRED_PARTY_FIELDS.map(field => `transferee.${field}`)
+];
+
+/**
+ * Numeric fields of a schema element, with their content type
+ * Coded fields are left to their code check, which already rejects non-numeric codes
+ * @param {string} element - Schema element holding the fields ('instrument' or 'transferor')
+ * @param {Object} codedFields - Coded fields of the element
+ * @returns {Array} [field, type] pairs
+ */
+function numericFields(element, codedFields) {
+    return STAMPS_SCHEMA.elements[element].children
+        .map(child => [child.name, STAMPS_SCHEMA.elements[child.name].type])
+        .filter(([field, type]) => (type === 'integer' || type === 'decimal') && !codedFields[field]);
+}
+
+// Exemption and remission codes are granted under individual Orders and no list of them is kept here,
+// so they are only checked for the form of a code
+const ORDER_CODE_PATTERN = /^[A-Z0-9][A-Z0-9/.()-]{0,19}$/i;
+
+const INDIVIDUAL = { field: 'type', in: ['0'] };
+const COMPANY = { field: 'type', in: ['1'] };
+
+export const VALIDATION_RULES = [
+    // Mandatory fields
+    ...REQUIRED_INSTRUMENT_FIELDS.map(field => ({
+        field,
+        check: 'required',
+        message: 'Missing required field: {field}'
+    })),
+    ...REQUIRED_PARTY_FIELDS.map(field => ({
+        party: 'both',
+        field,
+        check: 'required',
+        message: 'Missing required field: {field}'
+    })),
+
+    // Date formats
+    ...['instrumentDate', 'instrumentDateReceive'].map(field => ({
+        field,
+        check: 'date',
+        message: 'Invalid date format for {field}. Expected DD/MM/YYYY, got: {value}'
+    })),
+
+    // Numeric fields, in the form the STAMPS schema accepts (e.g. no thousands separators)
+    ...numericFields('instrument', INSTRUMENT_CODED_FIELDS).map(([field, type]) => ({
+        field,
+        check: 'number',
+        type,
+        message: `Invalid value for {field}: {value}. Expected ${SCHEMA_TYPES[type].description}`
+    })),
+    ...numericFields('transferor', PARTY_CODED_FIELDS).map(([field, type]) => ({
+        party: 'both',
+        field,
+        check: 'number',
+        type,
+        message: `Invalid value for {field}: {value}. Expected ${SCHEMA_TYPES[type].description}`
+    })),
+
+    // Coded fields
+    ...Object.entries(INSTRUMENT_CODED_FIELDS).map(([field, table]) => ({
+        field,
+        check: 'code',
+        table
+    })),
+    ...Object.entries(PARTY_CODED_FIELDS).map(([field, table]) => ({
+        party: 'both',
+        field,
+        check: 'code',
+        table
+    })),
+    ...['exemption', 'remession'].map(field => ({
+        field,
+        check: 'format',
+        pattern: ORDER_CODE_PATTERN,
+        errorType: 'INVALID_CODE',
+        message: 'Invalid {field}: "{value}". Expected a code of letters, digits, "/", ".", "-" and brackets, up to 20 characters'
+    })),
+
+    // IC numbers
+    {
+        party: 'both',
+        field: 'icNo',
+        check: 'icNumber'
+    },
+
+    // Attachments (every file listed for the instrument)
+    {
+        field: 'attachments',
+        check: 'fileExists',
+        message: 'Attachment file not uploaded: {value}'
+    },
+    {
+        field: 'attachments',
+        check: 'required',
+        severity: 'warning',
+        errorType: 'MISSING_ATTACHMENT',
+        message: 'No attachment specified for this record'
+    },
+
+    // Company parties
+    {
+        party: 'both',
+        field: 'rocNo',
+        when: COMPANY,
+        check: 'required',
+        message: 'Company {party} requires ROC Number'
+    },
+    {
+        party: 'both',
+        field: 'busType',
+        when: COMPANY,
+        check: 'required',
+        message: `Company {party} requires Business Type (${describeCodes('businessType')})`
+    },
+
+    // Individual parties - citizens have an IC, non-citizens a passport
+    {
+        party: 'both',
+        field: 'icNo',
+        when: { all: [INDIVIDUAL, { field: 'pasportNo', empty: true }] },
+        check: 'required',
+        message: 'Individual {party} requires IC Number (citizen) or Passport (non-citizen)'
+    },
+    {
+        party: 'both',
+        field: 'nationality',
+        when: { all: [INDIVIDUAL, { field: 'icNo', empty: false }] },
+        check: 'required',
+        message: 'Citizen {party} requires Nationality (set to 1)'
+    },
+    {
+        party: 'both',
+        field: 'pasportCountry',
+        when: { all: [INDIVIDUAL, { field: 'icNo', empty: true }, { field: 'pasportNo', empty: false }] },
+        check: 'required',
+        message: 'Non-citizen {party} requires Passport Country Code'
+    }
+];
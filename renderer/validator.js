@@ -3,248 +3,81 @@
  * Validates parsed data before XML generation
  */
 
-// Mandatory fields that must have values
-const MANDATORY_FIELDS = [
-    // Instrument Information
-    'refNo',
-    'instrumentDate',
-    'principal',
-    'typeOfInstrumentOthers',
-
-    // Transferor (Provider) - Basic Info
-    'transferor.type',
-    'transferor.name',
-
-    // Transferor - Address & Contact
-    'transferor.street1',
-    'transferor.street2',
-    'transferor.postcode',
-    'transferor.city',
-    'transferor.state',
-    'transferor.country',
-    'transferor.telNo',
-
-    // Transferee (Recipient) - Basic Info
-    'transferee.type',
-    'transferee.name',
-
-    // Transferee - Address & Contact
-    'transferee.street1',
-    'transferee.street2',
-    'transferee.postcode',
-    'transferee.city',
-    'transferee.state',
-    'transferee.country',
-    'transferee.telNo'
-];
+import { getTable, findCode, suggestCode, describeCodes } from './reference-data.js';
+import { checkIcNumber } from './mykad.js';
+import { VALIDATION_RULES, MANDATORY_FIELDS } from './validation-rules.js';
+import { findDuplicates } from './duplicates.js';
+import { SCHEMA_TYPES } from './stamps-schema.js';
+import { NUMBERED_PARTY_PATH_REGEX } from './parser.js';
 
 // Date format regex
 const DATE_REGEX = /^\d{2}\/\d{2}\/\d{4}$/;
 
+/**
+ * Checks referenced by rules, keyed by rule.check
+ * Each returns a list of problems ({ errorType?, severity?, message?, value? }) for a non-empty value,
+ * except 'required' which is the only check run on empty values. A problem's value overrides the
+ * field value, e.g. the missing file of an attachment list
+ */
+const CHECKS = {
+    required: (value) => isEmpty(value) ? [{ errorType: 'MISSING_FIELD' }] : [],
+
+    date: (value) => DATE_REGEX.test(String(value).trim()) ? [] : [{ errorType: 'INVALID_DATE' }],
+
+    // The same patterns as the schema check, so generation never fails on a value validation accepted
+    number: (value, rule) => SCHEMA_TYPES[rule.type].pattern.test(String(value).trim()) ? [] : [{ errorType: 'INVALID_NUMBER' }],
+
+    format: (value, rule) => rule.pattern.test(String(value).trim()) ? [] : [{ errorType: 'INVALID_FORMAT' }],
+
+    code: (value, rule, { fieldPath }) => {
+        const issue = checkCode(fieldPath, rule.table, value);
+        return issue ? [issue] : [];
+    },
+
+    icNumber: (value, rule, { fieldPath, scope }) => checkIcNumber(value, scope.nationality)
+        .map(problem => ({ ...problem, message: `${getFieldDisplayName(fieldPath)}: ${problem.message}` })),
+
+    fileExists: (value, rule, { attachmentFiles }) => (Array.isArray(value) ? value : [value])
+        .map(filename => String(filename).trim())
+        .filter(filename => !(attachmentFiles && attachmentFiles.has(filename)))
+        .map(filename => ({ errorType: 'MISSING_FILE', value: filename }))
+};
+
 /**
  * Validate all records
  * @param {Array} mappedData - Array of mapped record objects
  * @param {Map} attachmentFiles - Map of filename -> attachment data
+ * @param {Object} [options] - Duplicate detection options (see findDuplicates): { getAttachmentBlob, previousRefNos }
  * @returns {Object} Validation results
  */
-export async function validateAll(mappedData, attachmentFiles) {
+export async function validateAll(mappedData, attachmentFiles, options = {}) {
     const errors = [];
     const warnings = [];
-    let validCount = 0;
+    const invalidRecords = new Set();
 
     for (const record of mappedData) {
-        const rowNumber = record._rowNumber;
-        const rowErrors = [];
-        const rowWarnings = [];
-
-        // Check mandatory fields
-        for (const fieldPath of MANDATORY_FIELDS) {
-            const value = getNestedValue(record, fieldPath);
-            if (value === undefined || value === null || value === '') {
-                rowErrors.push({
-                    rowNumber,
-                    fieldName: fieldPath,
-                    errorType: 'MISSING_FIELD',
-                    message: `Missing required field: ${getFieldDisplayName(fieldPath)}`
-                });
-            }
-        }
-
-        // Validate date formats
-        const dateFields = ['instrumentDate', 'instrumentDateReceive'];
-        for (const field of dateFields) {
-            const value = record[field];
-            if (value && !DATE_REGEX.test(value)) {
-                rowErrors.push({
-                    rowNumber,
-                    fieldName: field,
-                    errorType: 'INVALID_DATE',
-                    message: `Invalid date format for ${getFieldDisplayName(field)}. Expected DD/MM/YYYY, got: ${value}`
-                });
-            }
-        }
-
-        // Validate numeric fields
-        const numericFields = ['principal', 'subsidiary', 'typeOfInstrument', 'consideration', 'noOfCopy'];
-        for (const field of numericFields) {
-            const value = record[field];
-            if (value !== undefined && value !== '' && isNaN(parseFloat(value))) {
-                rowWarnings.push({
-                    rowNumber,
-                    fieldName: field,
-                    errorType: 'INVALID_NUMBER',
-                    message: `Non-numeric value for ${getFieldDisplayName(field)}: ${value}`
-                });
-            }
-        }
-
-        // Validate attachment exists in uploaded files
-        if (record.attachment) {
-            const filename = record.attachment.trim();
-            const exists = attachmentFiles && attachmentFiles.has(filename);
-            if (!exists) {
-                rowErrors.push({
-                    rowNumber,
-                    fieldName: 'attachment',
-                    errorType: 'MISSING_FILE',
-                    message: `Attachment file not uploaded: ${filename}`
-                });
-            }
-        } else {
-            rowWarnings.push({
-                rowNumber,
-                fieldName: 'attachment',
-                errorType: 'MISSING_ATTACHMENT',
-                message: 'No attachment specified for this record'
-            });
-        }
-
-        // Validate transferor based on type
-        if (record.transferor) {
-            const type = record.transferor.type;
-            if (type === '1' || type === 1) {
-                // Company - require ROC and Business Type
-                if (!record.transferor.rocNo) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferor.rocNo',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Company transferor requires ROC Number'
-                    });
-                }
-                if (!record.transferor.busType) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferor.busType',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Company transferor requires Business Type (1=Local, 2=Foreign)'
-                    });
-                }
-            } else if (type === '0' || type === 0) {
-                // Individual - check if citizen (has IC) or non-citizen (has passport)
-                const hasIC = record.transferor.icNo;
-                const hasPassport = record.transferor.passportNo;
-
-                if (!hasIC && !hasPassport) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferor.icNo',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Individual transferor requires IC Number (citizen) or Passport (non-citizen)'
-                    });
-                } else if (hasIC) {
-                    // Citizen - require nationality
-                    if (!record.transferor.nationality) {
-                        rowErrors.push({
-                            rowNumber,
-                            fieldName: 'transferor.nationality',
-                            errorType: 'MISSING_FIELD',
-                            message: 'Citizen transferor requires Nationality (set to 1)'
-                        });
-                    }
-                } else if (hasPassport) {
-                    // Non-citizen - require passport country
-                    if (!record.transferor.passportCountry) {
-                        rowErrors.push({
-                            rowNumber,
-                            fieldName: 'transferor.passportCountry',
-                            errorType: 'MISSING_FIELD',
-                            message: 'Non-citizen transferor requires Passport Country Code'
-                        });
-                    }
-                }
-            }
-        }
-
-        // Validate transferee based on type
-        if (record.transferee) {
-            const type = record.transferee.type;
-            if (type === '1' || type === 1) {
-                // Company - require ROC and Business Type
-                if (!record.transferee.rocNo) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferee.rocNo',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Company transferee requires ROC Number'
-                    });
-                }
-                if (!record.transferee.busType) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferee.busType',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Company transferee requires Business Type (1=Local, 2=Foreign)'
-                    });
-                }
-            } else if (type === '0' || type === 0) {
-                // Individual - check if citizen (has IC) or non-citizen (has passport)
-                const hasIC = record.transferee.icNo;
-                const hasPassport = record.transferee.passportNo;
-
-                if (!hasIC && !hasPassport) {
-                    rowErrors.push({
-                        rowNumber,
-                        fieldName: 'transferee.icNo',
-                        errorType: 'MISSING_FIELD',
-                        message: 'Individual transferee requires IC Number (citizen) or Passport (non-citizen)'
-                    });
-                } else if (hasIC) {
-                    // Citizen - require nationality
-                    if (!record.transferee.nationality) {
-                        rowErrors.push({
-                            rowNumber,
-                            fieldName: 'transferee.nationality',
-                            errorType: 'MISSING_FIELD',
-                            message: 'Citizen transferee requires Nationality (set to 1)'
-                        });
-                    }
-                } else if (hasPassport) {
-                    // Non-citizen - require passport country
-                    if (!record.transferee.passportCountry) {
-                        rowErrors.push({
-                            rowNumber,
-                            fieldName: 'transferee.passportCountry',
-                            errorType: 'MISSING_FIELD',
-                            message: 'Non-citizen transferee requires Passport Country Code'
-                        });
-                    }
-                }
-            }
-        }
+        const { errors: rowErrors, warnings: rowWarnings } = validateRecord(record, { attachmentFiles });
 
         // Add to results
         errors.push(...rowErrors);
         warnings.push(...rowWarnings);
 
-        if (rowErrors.length === 0) {
-            validCount++;
+        if (rowErrors.length > 0) {
+            invalidRecords.add(record._rowNumber);
         }
     }
 
+    // Duplicates are found across records, within the upload and against earlier generations
+    const duplicates = await findDuplicates(mappedData, options);
+    errors.push(...duplicates.errors);
+    warnings.push(...duplicates.warnings);
+    for (const error of duplicates.errors) {
+        invalidRecords.add(error.rowNumber);
+    }
+
     return {
         valid: errors.length === 0,
-        validCount,
+        validCount: mappedData.length - invalidRecords.size,
         errorCount: errors.length,
         warningCount: warnings.length,
         errors,
@@ -252,6 +85,160 @@ export async function validateAll(mappedData, attachmentFiles) {
     };
 }
 
+/**
+ * Validate a single record against the validation rules
+ * @param {Object} record - Mapped record
+ * @param {Object} context - { attachmentFiles: Map|Set of uploaded attachment names }
+ * @param {Array} [rules] - Rules to evaluate (defaults to VALIDATION_RULES)
+ * @returns {Object} { errors, warnings } for the record
+ */
+export function validateRecord(record, context = {}, rules = VALIDATION_RULES) {
+    const errors = [];
+    const warnings = [];
+
+    const parties = getRecordParties(record);
+
+    for (const rule of rules) {
+        for (const party of getRuleParties(rule, parties)) {
+            const scope = party ? party.fields : record;
+            if (rule.when && !matchesCondition(rule.when, scope)) continue;
+
+            const value = getNestedValue(scope, rule.field);
+            if (rule.check !== 'required' && isEmpty(value)) continue;
+
+            const fieldPath = party ? `${party.path}.${rule.field}` : rule.field;
+            const problems = CHECKS[rule.check](value, rule, { ...context, fieldPath, scope, record });
+
+            for (const problem of problems) {
+                const problemValue = problem.value ?? value;
+                const issue = {
+                    rowNumber: party?.rowNumber || record._rowNumber,
+                    fieldName: fieldPath,
+                    errorType: rule.errorType || problem.errorType,
+                    message: problem.message || formatMessage(rule.message, { fieldPath, party: party?.label, value: problemValue })
+                };
+                if (!isEmpty(problemValue)) issue.value = problemValue;
+
+                const severity = problem.severity || rule.severity || 'error';
+                (severity === 'warning' ? warnings : errors).push(issue);
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * All parties of a record: the main transferor and transferee, then any additional parties
+ * @param {Object} record - Mapped record
+ * @returns {Array} [{ role, path, label, fields, rowNumber }] - rowNumber is set for Parties sheet rows
+ */
+export function getRecordParties(record) {
+    return [
+        ...['transferor', 'transferee'].map(role => ({
+            role,
+            path: role,
+            label: role,
+            fields: record[role] || {},
+            rowNumber: null
+        })),
+        ...(record.additionalParties || []).map(party => ({
+            role: party.role,
+            path: `${party.role}[${party.number}]`,
+            label: `${party.role} ${party.number}`,
+            fields: party.fields,
+            rowNumber: party.rowNumber
+        }))
+    ];
+}
+
+/**
+ * Parties a rule applies to ([null] for instrument rules)
+ * @param {Object} rule - Validation rule
+ * @param {Array} parties - Parties of the record from getRecordParties
+ * @returns {Array} Parties
+ */
+function getRuleParties(rule, parties) {
+    if (!rule.party) return [null];
+    return rule.party === 'both' ? parties : parties.filter(party => party.role === rule.party);
+}
+
+/**
+ * Evaluate a rule condition against a record or party
+ * @param {Object} condition - Condition ({ field, in }, { field, empty }, { all }, { any })
+ * @param {Object} scope - Record or party object the condition's fields belong to
+ * @returns {boolean} True if the condition holds
+ */
+function matchesCondition(condition, scope) {
+    if (condition.all) return condition.all.every(c => matchesCondition(c, scope));
+    if (condition.any) return condition.any.some(c => matchesCondition(c, scope));
+
+    const value = getNestedValue(scope, condition.field);
+    if (condition.in) return !isEmpty(value) && condition.in.includes(String(value).trim());
+    if (condition.empty !== undefined) return isEmpty(value) === condition.empty;
+
+    throw new Error(`Unsupported validation rule condition: ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Fill in a rule message template
+ * @param {string} template - Message with {field}, {party}, {Party} and {value} placeholders
+ * @param {Object} params - { fieldPath, party, value }
+ * @returns {string} Message
+ */
+function formatMessage(template, { fieldPath, party, value }) {
+    const replacements = {
+        field: getFieldDisplayName(fieldPath),
+        party: party || '',
+        Party: party ? party[0].toUpperCase() + party.slice(1) : '',
+        value: isEmpty(value) ? '' : String(value).trim()
+    };
+    return template.replace(/\{(field|party|Party|value)\}/g, (match, key) => replacements[key]);
+}
+
+/**
+ * Check whether a field value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null or blank strings
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check a coded field against its reference table
+ * Numeric codes missing from an incomplete table (common codes only) are reported as warnings
+ * @param {string} fieldPath - Field path
+ * @param {string} tableId - Reference table id
+ * @param {*} value - Field value
+ * @returns {Object|null} Problem, or null if the value is valid
+ */
+function checkCode(fieldPath, tableId, value) {
+    const table = getTable(tableId);
+    if (findCode(tableId, value)) return null;
+
+    const fieldName = getFieldDisplayName(fieldPath);
+    const isNumeric = /^-?\d+$/.test(String(value).trim());
+
+    if (!table.complete && isNumeric) {
+        return {
+            errorType: 'UNKNOWN_CODE',
+            severity: 'warning',
+            message: `${fieldName} code ${value} is not in the common ${table.source} codes. Check it against the full ${table.source} list`
+        };
+    }
+
+    const suggestion = suggestCode(tableId, value);
+    const hint = table.codes.length <= 5
+        ? `Valid codes: ${describeCodes(tableId)}`
+        : `Closest valid code: ${suggestion.code} (${suggestion.label})`;
+
+    return {
+        errorType: 'INVALID_CODE',
+        message: `Invalid ${fieldName}: "${value}" is not a valid code (${table.source}). ${hint}`
+    };
+}
+
 /**
  * Get nested value from object using dot notation
  * @param {Object} obj - Object to search
@@ -277,7 +264,15 @@ function getNestedValue(obj, path) {
  * @param {string} fieldPath - Field path
  * @returns {string} Display name
  */
-function getFieldDisplayName(fieldPath) {
+export function getFieldDisplayName(fieldPath) {
+    // Additional parties: "transferee[2].name" -> "Transferee 2 Name"
+    const numbered = fieldPath.match(NUMBERED_PARTY_PATH_REGEX);
+    if (numbered) {
+        const [, role, number, field] = numbered;
+        const label = role[0].toUpperCase() + role.slice(1);
+        return getFieldDisplayName(`${role}.${field}`).replace(label, `${label} ${number}`);
+    }
+
     const displayNames = {
         // Instrument Information
         'refNo': 'Reference Number',
@@ -294,8 +289,6 @@ function getFieldDisplayName(fieldPath) {
         'transferor.rocNo': 'Transferor ROC',
         'transferor.busType': 'Transferor Business Type',
         'transferor.nationality': 'Transferor Nationality',
-        'transferor.passportNo': 'Transferor Passport',
-        'transferor.passportCountry': 'Transferor Passport Country',
         'transferor.street1': 'Transferor Address Line 1',
         'transferor.street2': 'Transferor Address Line 2',
         'transferor.postcode': 'Transferor Postcode',
@@ -303,6 +296,9 @@ function getFieldDisplayName(fieldPath) {
         'transferor.state': 'Transferor State',
         'transferor.country': 'Transferor Country',
         'transferor.telNo': 'Transferor Phone',
+        'transferor.pasportNo': 'Transferor Passport',
+        'transferor.pasportCountry': 'Transferor Passport Country',
+        'transferor.incomeTaxBranch': 'Transferor Tax Branch',
 
         // Transferee
         'transferee.type': 'Transferee Type',
@@ -311,8 +307,6 @@ function getFieldDisplayName(fieldPath) {
         'transferee.rocNo': 'Transferee ROC',
         'transferee.busType': 'Transferee Business Type',
         'transferee.nationality': 'Transferee Nationality',
-        'transferee.passportNo': 'Transferee Passport',
-        'transferee.passportCountry': 'Transferee Passport Country',
         'transferee.street1': 'Transferee Address Line 1',
         'transferee.street2': 'Transferee Address Line 2',
         'transferee.postcode': 'Transferee Postcode',
@@ -320,11 +314,22 @@ function getFieldDisplayName(fieldPath) {
         'transferee.state': 'Transferee State',
         'transferee.country': 'Transferee Country',
         'transferee.telNo': 'Transferee Phone',
+        'transferee.pasportNo': 'Transferee Passport',
+        'transferee.pasportCountry': 'Transferee Passport Country',
+        'transferee.incomeTaxBranch': 'Transferee Tax Branch',
 
         // Other
         'consideration': 'Consideration Amount',
         'noOfCopy': 'Number of Copies',
-        'attachment': 'Attachment'
+        'duration': 'Duration Fixed',
+        'colLand': 'Collateral: Land',
+        'colShare': 'Collateral: Share',
+        'colDeposit': 'Collateral: Deposit',
+        'colOthers': 'Collateral: Other',
+        'exemption': 'Exemption Code',
+        'remession': 'Remission Code',
+        'attachment': 'Attachment',
+        'attachments': 'Attachments'
     };
 
     return displayNames[fieldPath] || fieldPath;
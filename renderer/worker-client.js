@@ -0,0 +1,82 @@
+/**
+ * Worker Client Module
+ * Sends processing tasks to the background worker
+ */
+
+let worker = null;
+let nextTaskId = 1;
+
+// Pending tasks, keyed by task id
+const tasks = new Map();
+
+/**
+ * Get (or start) the shared worker
+ * @returns {Worker} Processing worker
+ */
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage;
+        worker.onerror = (e) => {
+            console.error('Worker error:', e);
+            // A worker that fails to load cannot run anything - fail all pending tasks
+            for (const task of tasks.values()) {
+                task.reject(new Error(e.message || 'Background worker failed to load. Please refresh the page.'));
+            }
+            tasks.clear();
+            worker.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+}
+
+/**
+ * Handle a message from the worker
+ */
+function handleMessage(e) {
+    const { id, type } = e.data;
+    const task = tasks.get(id);
+    if (!task) return;
+
+    if (type === 'progress') {
+        if (task.onProgress) task.onProgress(e.data.progress);
+        return;
+    }
+
+    tasks.delete(id);
+    if (type === 'result') {
+        task.resolve(e.data.result);
+    } else if (type === 'cancelled') {
+        task.reject(new DOMException('Task cancelled', 'AbortError'));
+    } else {
+        task.reject(new Error(e.data.message));
+    }
+}
+
+/**
+ * Run a task in the worker
+ * @param {string} type - Task type (parse, validate, generate)
+ * @param {Object} payload - Task input
+ * @param {Object} [options] - Task options
+ * @param {Function} [options.onProgress] - Progress callback
+ * @param {Transferable[]} [options.transfer] - Objects to transfer instead of copy
+ * @returns {Object} { promise, cancel } - promise rejects with an AbortError when cancelled
+ */
+export function runTask(type, payload, { onProgress, transfer = [] } = {}) {
+    const id = nextTaskId++;
+    const promise = new Promise((resolve, reject) => {
+        tasks.set(id, { resolve, reject, onProgress });
+    });
+
+    getWorker().postMessage({ id, type, payload }, transfer);
+
+    return {
+        promise,
+        cancel: () => {
+            if (worker && tasks.has(id)) {
+                worker.postMessage({ id, type: 'cancel' });
+            }
+        }
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Processing Worker
+ * Runs parsing, validation and XML generation off the main thread
+ */
+
+import * as XLSX from 'https://cdn.sheetjs.com/xlsx-0.20.1/package/xlsx.mjs';
+import { parseFile } from './parser.js';
+import { isStampsXml, parseStampsXml } from './xml-import.js';
+import { validateAll } from './validator.js';
+import { generateXml, createManifest } from './generator.js';
+import { createArchive } from './archive.js';
+import { checkBatches } from './schema-check.js';
+import { buildTemplateSheets } from './data-editor.js';
+import { buildReportSheets } from './validation-report.js';
+
+// parser.js looks for the library on the global object
+globalThis.XLSX = XLSX;
+
+// AbortControllers of running tasks, keyed by task id
+const running = new Map();
+
+/**
+ * Task handlers, keyed by message type
+ */
+const TASKS = {
+    parse: ({ buffer, filename, sheets }) => isStampsXml(filename)
+        ? parseStampsXml(buffer, filename)
+        : parseFile(buffer, filename, { sheets }),
+
+    // Attachments are read only to compare likely duplicate instruments
+    validate: ({ mappedData, attachmentFiles, previousRefNos }) => validateAll(mappedData, attachmentFiles, {
+        getAttachmentBlob: (filename) => attachmentFiles.get(filename)?.file || null,
+        previousRefNos
+    }),
+
+    exportTemplate: ({ mappedData }) => writeWorkbook(buildTemplateSheets(mappedData)),
+
+    validationReport: ({ results, mappedData, source }) =>
+        writeWorkbook(buildReportSheets(results, mappedData, { source })),
+
+    generate: async ({ mappedData, attachmentFiles, zip, source, sourceSha256, columnMap }, { signal, progress }) => {
+        // Attachments are read from their File at generation time
+        const getAttachmentBlob = (filename) => attachmentFiles.get(filename)?.file || null;
+
+        const batches = await generateXml(mappedData, attachmentFiles, getAttachmentBlob, progress, { signal });
+        signal.throwIfAborted();
+
+        // Batches that break the schema are not offered for download
+        progress({ phase: 'schema' });
+        const schemaViolations = await checkBatches(batches);
+        if (schemaViolations.length > 0) {
+            return { batches, manifest: null, zipBlob: null, schemaViolations };
+        }
+        signal.throwIfAborted();
+
+        progress({ phase: 'manifest' });
+        const manifest = await createManifest(batches, { source, sourceSha256, columnMap });
+
+        let zipBlob = null;
+        if (zip) {
+            signal.throwIfAborted();
+            progress({ phase: 'zip' });
+            zipBlob = await createArchive([
+                ...batches.map(batch => ({ name: batch.filename, content: batch.content })),
+                { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) }
+            ]);
+        }
+
+        return { batches, manifest, zipBlob, schemaViolations };
+    }
+};
+
+/**
+ * Write sheets of rows to an XLSX file
+ * @param {Object} sheets - Sheet name -> array of rows
+ * @returns {ArrayBuffer} XLSX file contents
+ */
+function writeWorkbook(sheets) {
+    const wb = XLSX.utils.book_new();
+    for (const [name, rows] of Object.entries(sheets)) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+    }
+    return XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+}
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+
+    if (type === 'cancel') {
+        running.get(id)?.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    running.set(id, controller);
+
+    try {
+        const result = await TASKS[type](payload, {
+            signal: controller.signal,
+            progress: (progress) => self.postMessage({ id, type: 'progress', progress })
+        });
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            self.postMessage({ id, type: 'cancelled' });
+        } else {
+            console.error(`Worker ${type} error:`, error);
+            self.postMessage({ id, type: 'error', message: error.message });
+        }
+    } finally {
+        running.delete(id);
+    }
+};
@@ -0,0 +1,215 @@
+/**
+ * STAMPS XML Import Module
+ * Reads a bulk stamping XML (generated here or by another tool) back into records,
+ * extracting the embedded attachments as files
+ */
+
+import { COLUMN_MAP, PARTY_COLUMNS, buildColumnMap, mapRows } from './parser.js';
+
+// Files read by parseStampsXml instead of parseFile
+export const XML_FILE_REGEX = /\.xml$/i;
+
+// Application type this tool generates
+const APPLICATION_TYPE = '43';
+
+// Template header of each field (the last header mapped to it, as in the template)
+const FIELD_HEADERS = Object.fromEntries(Object.entries(COLUMN_MAP).map(([header, field]) => [field, header]));
+
+// Party column of each party field: 'street1' -> 'Address 1'
+const PARTY_FIELD_COLUMNS = Object.fromEntries(Object.entries(PARTY_COLUMNS).map(([column, field]) => [field, column]));
+
+// File extensions by leading bytes, for attachments without a name
+const FILE_SIGNATURES = [
+    { bytes: [0x25, 0x50, 0x44, 0x46], extension: 'pdf' },
+    { bytes: [0xFF, 0xD8, 0xFF], extension: 'jpg' },
+    { bytes: [0x89, 0x50, 0x4E, 0x47], extension: 'png' }
+];
+
+/**
+ * Check whether a file is read as STAMPS XML
+ * @param {string} filename - Filename
+ * @returns {boolean} True for .xml files
+ */
+export function isStampsXml(filename) {
+    return XML_FILE_REGEX.test(filename || '');
+}
+
+/**
+ * Parse a STAMPS bulk XML file into the structure parseFile returns
+ * Each instrument becomes a row keyed by template headers (additional parties as
+ * "Transferee 2 Name" column groups), mapped with the template column map.
+ * Row numbers are the instrument's position in the file.
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @param {string} filename - Original filename
+ * @returns {Object} parseFile result plus { attachments: [{ filename, data: Uint8Array }], warnings: string[] }
+ */
+export function parseStampsXml(buffer, filename) {
+    const text = new TextDecoder('utf-8').decode(buffer);
+    const root = text.match(/<bulkstamping\b[^>]*>([\s\S]*)<\/bulkstamping>/);
+    if (!root) {
+        throw new Error(`${filename} is not a STAMPS bulk XML file (no <bulkstamping> element)`);
+    }
+
+    const warnings = [];
+    const ignoredElements = new Set();
+
+    const applicationType = readElements(root[1].replace(/<instrument\b[\s\S]*?<\/instrument>/g, '')).applicationType;
+    if (applicationType !== undefined && applicationType !== APPLICATION_TYPE) {
+        warnings.push(`Application type is ${applicationType}; it will be regenerated as ${APPLICATION_TYPE}`);
+    }
+
+    const attachments = new Map();
+    const partyHeaders = new Set();
+    const rows = [];
+
+    for (const [, body] of root[1].matchAll(/<instrument\b[^>]*>([\s\S]*?)<\/instrument>/g)) {
+        const row = Object.fromEntries(Object.values(FIELD_HEADERS).map(header => [header, '']));
+        let rest = body;
+
+        // Attachments: name attribute and base64 content
+        const filenames = [];
+        rest = rest.replace(/<attachment\b([^>]*?)(?:\/>|>([\s\S]*?)<\/attachment>)/g, (match, attributes, content) => {
+            const nameMatch = attributes.match(/\bname\s*=\s*(["'])(.*?)\1/);
+            const data = unwrapCdata(content || '').replace(/\s+/g, '');
+            let name = nameMatch ? decodeXml(nameMatch[2]).trim() : '';
+
+            if (data) {
+                const bytes = base64ToBytes(data);
+                if (!name) name = `attachment_${rows.length + 1}_${filenames.length + 1}.${detectExtension(bytes)}`;
+                name = storeAttachment(attachments, name, data, bytes);
+            }
+            if (name) filenames.push(name);
+            return '';
+        });
+        row[FIELD_HEADERS.attachment] = filenames.join('; ');
+
+        // Parties: the first of each role is the main party, later ones are numbered from 2
+        const partyCounts = { transferor: 0, transferee: 0 };
+        rest = rest.replace(/<(transferor|transferee)\b[^>]*?(?:\/>|>([\s\S]*?)<\/\1>)/g, (match, role, content) => {
+            const number = ++partyCounts[role];
+            const label = role[0].toUpperCase() + role.slice(1);
+            for (const [field, value] of Object.entries(readElements(content || ''))) {
+                const column = PARTY_FIELD_COLUMNS[field];
+                if (!column) {
+                    ignoredElements.add(`${role}/${field}`);
+                    continue;
+                }
+                const header = number === 1 ? `${label} ${column}` : `${label} ${number} ${column}`;
+                if (number > 1) partyHeaders.add(header);
+                row[header] = value;
+            }
+            return '';
+        });
+
+        // Instrument fields
+        for (const [field, value] of Object.entries(readElements(rest))) {
+            if (FIELD_HEADERS[field]) {
+                row[FIELD_HEADERS[field]] = value;
+            } else {
+                ignoredElements.add(field);
+            }
+        }
+
+        rows.push(row);
+    }
+
+    if (ignoredElements.size > 0) {
+        warnings.push(`Elements not in the template were ignored: ${[...ignoredElements].join(', ')}`);
+    }
+
+    const headers = [...Object.values(FIELD_HEADERS), ...partyHeaders];
+    const rowNumbers = rows.map((row, index) => index + 1);
+
+    return {
+        headers,
+        rows,
+        rowNumbers,
+        mappedData: mapRows(rows, buildColumnMap(headers), rowNumbers),
+        linkedRows: { parties: [], attachments: [] },
+        unlinkedRows: [],
+        sheets: [{ name: filename, rowCount: rows.length, headers, matchCount: headers.length, isParties: false, isAttachments: false }],
+        selectedSheets: [filename],
+        attachments: [...attachments.values()].map(({ filename: name, data }) => ({ filename: name, data })),
+        warnings
+    };
+}
+
+/**
+ * Keep an extracted attachment, renaming it if another instrument embedded different content under the same name
+ * @param {Map} attachments - Filename -> { filename, base64, data }
+ * @param {string} name - Attachment name
+ * @param {string} base64 - Encoded content
+ * @param {Uint8Array} data - Decoded content
+ * @returns {string} Filename the attachment is kept under
+ */
+function storeAttachment(attachments, name, base64, data) {
+    let filename = name;
+    for (let copy = 2; attachments.has(filename); copy++) {
+        if (attachments.get(filename).base64 === base64) return filename;
+        const dot = name.lastIndexOf('.');
+        filename = dot > 0 ? `${name.slice(0, dot)} (${copy})${name.slice(dot)}` : `${name} (${copy})`;
+    }
+    attachments.set(filename, { filename, base64, data });
+    return filename;
+}
+
+/**
+ * Read the simple child elements of an XML fragment
+ * @param {string} xml - XML fragment
+ * @returns {Object} Element name -> text (first occurrence)
+ */
+function readElements(xml) {
+    const values = {};
+    for (const [, name, content] of xml.matchAll(/<([\w:-]+)\b[^>]*?(?:\/>|>([\s\S]*?)<\/\1>)/g)) {
+        const field = name.replace(/^[\w-]+:/, '');
+        if (!Object.hasOwn(values, field)) values[field] = decodeXml(unwrapCdata(content || '')).trim();
+    }
+    return values;
+}
+
+/**
+ * Take the text out of CDATA sections
+ */
+function unwrapCdata(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+/**
+ * Decode XML character and entity references
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decode base64 text (works in browsers, workers and Node.js)
+ * @param {string} base64 - Base64 string without whitespace
+ * @returns {Uint8Array} Bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Guess a file extension from the leading bytes
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} Extension ('bin' if unknown)
+ */
+function detectExtension(bytes) {
+    const signature = FILE_SIGNATURES.find(({ bytes: expected }) => expected.every((byte, i) => bytes[i] === byte));
+    return signature ? signature.extension : 'bin';
+}
@@ -7,9 +7,16 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import open from 'open';
+import { zipSync, strToU8 } from 'fflate';
 import { generateTemplate } from './template-generator.js';
+import { createAnnotatedWorkbook } from './annotated-workbook.js';
+import { runPipeline, readArchive, DATA_FILE_REGEX } from './pipeline.js';
+import { createManifest } from './renderer/generator.js';
+import { openStore, nextId } from './storage.js';
+import { checkFolderPath, resolveWorkspaceRoot, resolveInWorkspace } from './workspace.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,36 +26,65 @@ const PORT = process.env.PORT || 3847;
 
 // Data storage path
 const dataDir = path.join(__dirname, 'data');
-const dbPath = path.join(dataDir, 'database.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-}
+// Stored generation artifacts: data/projects/<projectId>/generations/<generationId>/
+const projectsDir = path.join(dataDir, 'projects');
 
-// Initialize database
-let db = {
-    projects: [],
-    generations: [],
-    _nextIds: { projects: 1, generations: 1 }
-};
+// Folder every project workspace lies in: project folders are relative to it
+const WORKSPACES_ROOT = path.resolve(process.env.WORKSPACES_ROOT || path.join(dataDir, 'workspaces'));
 
-if (fs.existsSync(dbPath)) {
-    try {
-        db = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
-    } catch (e) {
-        console.error('Error loading database:', e);
-    }
+// Batch files a generation may store
+const BATCH_FILE_REGEX = /^Output(_Batch_\d+)?\.xml$/;
+
+// Statuses a generation is recorded with
+const GENERATION_STATUSES = ['completed', 'schema_failed', 'failed', 'cancelled'];
+
+// Open the database (migrating and checking it); a damaged database stops the server rather than being replaced
+let store;
+try {
+    store = openStore(dataDir);
+} catch (e) {
+    console.error('Error loading database:', e.message);
+    process.exit(1);
+}
+process.on('exit', () => store.close());
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => process.exit(0));
+}
+
+/**
+ * Folder holding the stored artifacts of a generation
+ * @param {number} projectId - Project id
+ * @param {number} generationId - Generation id
+ * @returns {string} Folder path
+ */
+function getGenerationDir(projectId, generationId) {
+    return path.join(projectsDir, String(projectId), 'generations', String(generationId));
 }
 
-function saveDb() {
-    fs.writeFileSync(dbPath, JSON.stringify(db, null, 2), 'utf8');
+/**
+ * Read a count sent as a JSON number or a multipart field
+ * @param {*} value - Value from the request body
+ * @returns {number|null} The count, or null unless it is a non-negative whole number
+ */
+function parseCount(value) {
+    if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0 ? value : null;
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+        const count = Number(value.trim());
+        return Number.isSafeInteger(count) ? count : null;
+    }
+    return null;
 }
 
 // Middleware
 app.use(express.json({ limit: '100mb' }));
 app.use(express.static(path.join(__dirname, 'renderer')));
 
+// Browser build of fflate (ZIP support in the renderer)
+app.get('/vendor/fflate.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'node_modules', 'fflate', 'esm', 'browser.js'));
+});
+
 // File upload handling
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -59,7 +95,7 @@ const upload = multer({
 
 // Get all projects
 app.get('/api/projects', (req, res) => {
-    const sorted = db.projects.sort((a, b) =>
+    const sorted = [...store.data.projects].sort((a, b) =>
         new Date(b.last_used) - new Date(a.last_used)
     );
     res.json(sorted);
@@ -68,26 +104,69 @@ app.get('/api/projects', (req, res) => {
 // Create project
 app.post('/api/projects', (req, res) => {
     const { name, folderPath } = req.body;
-    const id = db._nextIds.projects++;
-    const project = {
-        id,
-        name,
-        folder_path: folderPath,
-        created_at: new Date().toISOString(),
-        last_used: new Date().toISOString()
-    };
-    db.projects.push(project);
-    saveDb();
+    if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    let folder;
+    if (folderPath) {
+        try {
+            folder = createWorkspaceFolder(folderPath);
+        } catch (e) {
+            console.error(`Refused project folder ${folderPath} from ${req.ip}: ${e.message}`);
+            return res.status(400).json({ error: e.message });
+        }
+    }
+
+    const id = store.transaction(db => {
+        const project = {
+            id: nextId(db, 'projects'),
+            name: name.trim(),
+            folder_path: folder,
+            created_at: new Date().toISOString(),
+            last_used: new Date().toISOString()
+        };
+        db.projects.push(project);
+        return project.id;
+    });
     res.json({ id });
 });
 
+// Set a project's workspace folder, e.g. for projects saved with an absolute folder (legacy_folder_path)
+// JSON: { folderPath } - relative to the workspaces folder
+app.put('/api/projects/:id/folder', (req, res) => {
+    const id = parseInt(req.params.id);
+    const { folderPath } = req.body;
+    if (!store.data.projects.some(p => p.id === id)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!folderPath) {
+        return res.status(400).json({ error: 'folderPath is required' });
+    }
+
+    let folder;
+    try {
+        folder = createWorkspaceFolder(folderPath);
+    } catch (e) {
+        console.error(`Refused project folder ${folderPath} for project ${id} from ${req.ip}: ${e.message}`);
+        return res.status(400).json({ error: e.message });
+    }
+
+    store.transaction(db => {
+        const project = db.projects.find(p => p.id === id);
+        project.folder_path = folder;
+        delete project.legacy_folder_path;
+    });
+    res.json({ success: true, folderPath: folder });
+});
+
 // Update project last used
 app.put('/api/projects/:id/touch', (req, res) => {
     const id = parseInt(req.params.id);
-    const project = db.projects.find(p => p.id === id);
-    if (project) {
-        project.last_used = new Date().toISOString();
-        saveDb();
+    if (store.data.projects.some(p => p.id === id)) {
+        store.transaction(db => {
+            db.projects.find(p => p.id === id).last_used = new Date().toISOString();
+        });
     }
     res.json({ success: true });
 });
@@ -95,41 +174,266 @@ app.put('/api/projects/:id/touch', (req, res) => {
 // Delete project
 app.delete('/api/projects/:id', (req, res) => {
     const id = parseInt(req.params.id);
-    db.projects = db.projects.filter(p => p.id !== id);
-    db.generations = db.generations.filter(g => g.project_id !== id);
-    saveDb();
+    store.transaction(db => {
+        db.projects = db.projects.filter(p => p.id !== id);
+        db.generations = db.generations.filter(g => g.project_id !== id);
+    });
+    fs.rmSync(path.join(projectsDir, String(id)), { recursive: true, force: true });
     res.json({ success: true });
 });
 
 // Save generation
-app.post('/api/generations', (req, res) => {
+// JSON: { projectId, recordsCount, batchesCount, status }
+// Multipart: the same fields, plus details (JSON: { source, sourceSha256, columnMap, validation, manifest })
+// and the generated batch files (batches), which are stored with the manifest and validation result
+app.post('/api/generations', upload.array('batches'), (req, res) => {
     const { projectId, recordsCount, batchesCount, status } = req.body;
-    const id = db._nextIds.generations++;
-    const generation = {
-        id,
-        project_id: projectId,
-        records_count: recordsCount,
-        batches_count: batchesCount,
-        status,
-        created_at: new Date().toISOString()
-    };
-    db.generations.push(generation);
-    saveDb();
-    res.json({ id });
+    if (!store.data.projects.some(p => p.id === Number(projectId))) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    const counts = { recordsCount: parseCount(recordsCount), batchesCount: parseCount(batchesCount) };
+    const invalidCount = Object.keys(counts).find(name => counts[name] === null);
+    if (invalidCount) {
+        return res.status(400).json({ error: `${invalidCount} must be a non-negative whole number` });
+    }
+    if (!GENERATION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${GENERATION_STATUSES.join(', ')}` });
+    }
+
+    let details = {};
+    try {
+        details = req.body.details ? JSON.parse(req.body.details) : {};
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid generation details: ' + e.message });
+    }
+    const files = req.files || [];
+    const invalidFile = files.find(file => !BATCH_FILE_REGEX.test(file.originalname));
+    if (invalidFile) {
+        return res.status(400).json({ error: `Not a batch file: ${invalidFile.originalname}` });
+    }
+
+    // The id, the stored files and the entry are committed together: files of a failed save are removed
+    let dir = null;
+    try {
+        const id = store.transaction(db => {
+            const generation = {
+                id: nextId(db, 'generations'),
+                project_id: Number(projectId),
+                records_count: counts.recordsCount,
+                batches_count: counts.batchesCount,
+                status,
+                created_at: new Date().toISOString()
+            };
+
+            // Provenance of the run
+            if (details.source !== undefined) generation.source_file = details.source;
+            if (details.sourceSha256) generation.source_sha256 = details.sourceSha256;
+            if (details.columnMap) generation.column_map = details.columnMap;
+            if (details.validation) {
+                const { valid, validCount, errorCount, warningCount } = details.validation;
+                generation.validation = { valid, validCount, errorCount, warningCount };
+            }
+
+            if (files.length > 0 || details.manifest || details.validation) {
+                dir = getGenerationDir(generation.project_id, generation.id);
+                fs.mkdirSync(dir, { recursive: true });
+                for (const file of files) {
+                    fs.writeFileSync(path.join(dir, file.originalname), file.buffer);
+                }
+                if (details.manifest) {
+                    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(details.manifest, null, 2), 'utf8');
+                }
+                if (details.validation) {
+                    fs.writeFileSync(path.join(dir, 'validation.json'), JSON.stringify(details.validation, null, 2), 'utf8');
+                }
+
+                generation.batches = files.map(file => {
+                    const entry = details.manifest?.batches?.find(batch => batch.filename === file.originalname);
+                    return {
+                        filename: file.originalname,
+                        size: file.size,
+                        record_count: entry ? entry.recordCount : null,
+                        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+                    };
+                });
+                generation.has_manifest = Boolean(details.manifest);
+                generation.has_validation = Boolean(details.validation);
+            }
+
+            db.generations.push(generation);
+            return generation.id;
+        });
+        res.json({ id });
+    } catch (e) {
+        console.error('Error storing generation:', e);
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+        res.status(500).json({ error: 'Failed to store generation: ' + e.message });
+    }
+});
+
+// Download a stored artifact of a generation: a batch file, manifest.json or validation.json
+app.get('/api/generations/:id/files/:filename', (req, res) => {
+    const id = parseInt(req.params.id);
+    const { filename } = req.params;
+    const generation = store.data.generations.find(g => g.id === id);
+    if (!generation) {
+        return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const stored = (generation.batches || []).some(batch => batch.filename === filename) ||
+        (filename === 'manifest.json' && generation.has_manifest) ||
+        (filename === 'validation.json' && generation.has_validation);
+    const filePath = path.join(getGenerationDir(generation.project_id, id), filename);
+    if (!stored || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not stored for this generation' });
+    }
+
+    res.download(filePath, filename);
 });
 
 // Get generations for project
 app.get('/api/generations/:projectId', (req, res) => {
     const projectId = parseInt(req.params.projectId);
-    const generations = db.generations
+    const generations = store.data.generations
         .filter(g => g.project_id === projectId)
         .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
     res.json(generations);
 });
 
+// Ref Nos of a project's completed generations, from their stored manifests
+app.get('/api/generations/:projectId/ref-nos', (req, res) => {
+    const projectId = parseInt(req.params.projectId);
+    const refNos = [];
+
+    for (const generation of store.data.generations) {
+        if (generation.project_id !== projectId || generation.status !== 'completed' || !generation.has_manifest) continue;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(path.join(getGenerationDir(projectId, generation.id), 'manifest.json'), 'utf8'));
+        } catch (e) {
+            console.error(`Error reading manifest of generation ${generation.id}:`, e);
+            continue;
+        }
+        for (const batch of manifest.batches || []) {
+            for (const refNo of batch.refNos || []) {
+                refNos.push({ refNo, generationId: generation.id, createdAt: generation.created_at, filename: batch.filename });
+            }
+        }
+    }
+
+    res.json(refNos);
+});
+
+// Get column mapping profiles
+app.get('/api/mapping-profiles', (req, res) => {
+    const sorted = [...store.data.mappingProfiles].sort((a, b) =>
+        new Date(b.last_used) - new Date(a.last_used)
+    );
+    res.json(sorted);
+});
+
+// Create or update a column mapping profile (profiles are unique by name)
+app.post('/api/mapping-profiles', (req, res) => {
+    const { name, headerSignature, headers, mapping } = req.body;
+    if (!name || !name.trim() || !headerSignature || !mapping) {
+        return res.status(400).json({ error: 'Profile name, header signature and mapping are required' });
+    }
+
+    const id = store.transaction(db => {
+        const now = new Date().toISOString();
+        let profile = db.mappingProfiles.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+        if (!profile) {
+            profile = { id: nextId(db, 'mappingProfiles'), created_at: now };
+            db.mappingProfiles.push(profile);
+        }
+        Object.assign(profile, {
+            name: name.trim(),
+            header_signature: headerSignature,
+            headers: headers || [],
+            mapping,
+            last_used: now
+        });
+        return profile.id;
+    });
+    res.json({ id });
+});
+
+// Update profile last used
+app.put('/api/mapping-profiles/:id/touch', (req, res) => {
+    const id = parseInt(req.params.id);
+    if (store.data.mappingProfiles.some(p => p.id === id)) {
+        store.transaction(db => {
+            db.mappingProfiles.find(p => p.id === id).last_used = new Date().toISOString();
+        });
+    }
+    res.json({ success: true });
+});
+
+// Delete column mapping profile
+app.delete('/api/mapping-profiles/:id', (req, res) => {
+    const id = parseInt(req.params.id);
+    store.transaction(db => {
+        db.mappingProfiles = db.mappingProfiles.filter(p => p.id !== id);
+    });
+    res.json({ success: true });
+});
+
+/**
+ * Create a project's workspace folder in the workspaces folder
+ * The path is resolved before creating it, so a symlink cannot lead outside.
+ * @param {string} folderPath - Folder path from the request, relative to the workspaces folder
+ * @returns {string} Normalised relative path, to store as the project's folder_path
+ */
+function createWorkspaceFolder(folderPath) {
+    const folder = checkFolderPath(folderPath);
+    fs.mkdirSync(WORKSPACES_ROOT, { recursive: true });
+    fs.mkdirSync(resolveInWorkspace(fs.realpathSync(WORKSPACES_ROOT), folder), { recursive: true });
+    return folder;
+}
+
+/**
+ * Confine an /api/fs request to its project's workspace folder
+ * The request body names the project (projectId) and a path (dirPath or filePath), absolute or relative
+ * to the workspace; the resolved path is passed on as req.workspacePath. Requests leading outside the
+ * workspace, symlinks included, are refused and logged.
+ */
+function requireWorkspace(req, res, next) {
+    const { projectId, dirPath, filePath } = req.body;
+    const requestedPath = dirPath ?? filePath;
+    const refuse = (status, error) => {
+        console.error(`Refused ${req.path} for project ${projectId} from ${req.ip}: ${error}`);
+        res.status(status).json({ error });
+    };
+
+    const project = store.data.projects.find(p => p.id === Number(projectId));
+    if (!project) {
+        return refuse(404, 'Project not found');
+    }
+    if (project.legacy_folder_path) {
+        return refuse(409, `The project folder ${project.legacy_folder_path} is an absolute path, which is no longer allowed. ` +
+            `Move its files into a folder inside ${WORKSPACES_ROOT} and set that folder on the project (PUT /api/projects/${project.id}/folder)`);
+    }
+    if (!project.folder_path) {
+        return refuse(400, 'The project has no workspace folder');
+    }
+    if (typeof requestedPath !== 'string' || !requestedPath.trim()) {
+        return refuse(400, 'dirPath or filePath is required');
+    }
+
+    // Also refuses folders leading outside WORKSPACES_ROOT through a symlink
+    try {
+        const root = resolveWorkspaceRoot(project.folder_path, WORKSPACES_ROOT);
+        req.workspacePath = resolveInWorkspace(root, requestedPath);
+    } catch (e) {
+        return refuse(403, e.message);
+    }
+    next();
+}
+
 // List directory contents
-app.post('/api/fs/list', (req, res) => {
-    const { dirPath } = req.body;
+app.post('/api/fs/list', requireWorkspace, (req, res) => {
+    const dirPath = req.workspacePath;
     try {
         if (!fs.existsSync(dirPath)) {
             return res.json([]);
@@ -142,16 +446,14 @@ app.post('/api/fs/list', (req, res) => {
 });
 
 // Check if file exists
-app.post('/api/fs/exists', (req, res) => {
-    const { filePath } = req.body;
-    res.json({ exists: fs.existsSync(filePath) });
+app.post('/api/fs/exists', requireWorkspace, (req, res) => {
+    res.json({ exists: fs.existsSync(req.workspacePath) });
 });
 
 // Get file size
-app.post('/api/fs/size', (req, res) => {
-    const { filePath } = req.body;
+app.post('/api/fs/size', requireWorkspace, (req, res) => {
     try {
-        const stats = fs.statSync(filePath);
+        const stats = fs.statSync(req.workspacePath);
         res.json({ size: stats.size });
     } catch {
         res.json({ size: 0 });
@@ -159,10 +461,9 @@ app.post('/api/fs/size', (req, res) => {
 });
 
 // Read file as base64
-app.post('/api/fs/read-base64', (req, res) => {
-    const { filePath } = req.body;
+app.post('/api/fs/read-base64', requireWorkspace, (req, res) => {
     try {
-        const buffer = fs.readFileSync(filePath);
+        const buffer = fs.readFileSync(req.workspacePath);
         res.json({ data: buffer.toString('base64') });
     } catch (e) {
         res.status(404).json({ error: 'File not found' });
@@ -170,10 +471,9 @@ app.post('/api/fs/read-base64', (req, res) => {
 });
 
 // Read file as buffer (for Excel parsing)
-app.post('/api/fs/read', (req, res) => {
-    const { filePath } = req.body;
+app.post('/api/fs/read', requireWorkspace, (req, res) => {
     try {
-        const buffer = fs.readFileSync(filePath);
+        const buffer = fs.readFileSync(req.workspacePath);
         res.json({ data: buffer.toString('base64') });
     } catch (e) {
         res.status(404).json({ error: 'File not found' });
@@ -181,8 +481,9 @@ app.post('/api/fs/read', (req, res) => {
 });
 
 // Write file
-app.post('/api/fs/write', (req, res) => {
-    const { filePath, content } = req.body;
+app.post('/api/fs/write', requireWorkspace, (req, res) => {
+    const { content } = req.body;
+    const filePath = req.workspacePath;
     try {
         // Ensure directory exists
         const dir = path.dirname(filePath);
@@ -203,10 +504,114 @@ app.post('/api/upload/excel', upload.single('file'), (req, res) => {
     }
     res.json({
         data: req.file.buffer.toString('base64'),
-        filename: req.file.originalname
+        filename: req.file.originalname,
+        sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex')
     });
 });
 
+// Return the uploaded workbook with validation issues marked on it
+// Body: { filename, data (base64 of the uploaded file), sheets, columnMap, errors, warnings }
+app.post('/api/annotated-workbook', (req, res) => {
+    const { filename, data, sheets, columnMap, errors, warnings } = req.body;
+    if (!data || !Array.isArray(errors) || !Array.isArray(warnings)) {
+        return res.status(400).json({ error: 'File data, errors and warnings are required' });
+    }
+
+    try {
+        const buffer = createAnnotatedWorkbook(Buffer.from(data, 'base64'), {
+            errors,
+            warnings,
+            sheets: sheets || [],
+            columnMap: columnMap || null,
+            source: filename || ''
+        });
+        const basename = path.parse(filename || 'STAMPS_Data').name;
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(basename)}_issues.xlsx"`);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Annotated workbook error:', error);
+        res.status(500).json({ error: 'Failed to create annotated workbook: ' + error.message });
+    }
+});
+
+// Generate XML on the server
+// Accepts multipart fields: file (Excel/CSV, or STAMPS XML to regenerate) + attachments (multiple), or archive (ZIP of both)
+// Add ?format=zip to receive the generated batches as a ZIP instead of JSON
+const generateUpload = upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'attachments' },
+    { name: 'archive', maxCount: 1 }
+]);
+
+app.post('/api/generate', generateUpload, async (req, res) => {
+    const files = req.files || {};
+    let dataFile = null;
+    let attachmentFiles = new Map();
+
+    try {
+        if (files.archive) {
+            ({ dataFile, attachmentFiles } = readArchive(new Uint8Array(files.archive[0].buffer)));
+        }
+        if (files.file) {
+            dataFile = { filename: files.file[0].originalname, buffer: files.file[0].buffer };
+        }
+        for (const file of files.attachments || []) {
+            attachmentFiles.set(file.originalname, { buffer: file.buffer, size: file.size });
+        }
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid ZIP archive: ' + e.message });
+    }
+
+    if (!dataFile || !DATA_FILE_REGEX.test(dataFile.filename)) {
+        return res.status(400).json({ error: 'No Excel/CSV or STAMPS XML file uploaded' });
+    }
+
+    try {
+        const { parsed, validation, batches, schemaViolations } = await runPipeline({
+            buffer: new Uint8Array(dataFile.buffer),
+            filename: dataFile.filename,
+            attachmentFiles
+        });
+
+        if (parsed.mappedData.length === 0) {
+            return res.status(422).json({ valid: false, error: 'No records found in data file', validation });
+        }
+        if (schemaViolations.length > 0) {
+            return res.status(422).json({ valid: false, error: 'Generated XML does not match the STAMPS schema', validation, schemaViolations });
+        }
+        if (!batches) {
+            return res.status(422).json({ valid: false, validation });
+        }
+
+        if (req.query.format === 'zip') {
+            const manifest = await createManifest(batches, { source: dataFile.filename });
+            const zipped = zipSync({
+                ...Object.fromEntries(await Promise.all(batches.map(async batch =>
+                    [batch.filename, new Uint8Array(await batch.content.arrayBuffer())]
+                ))),
+                'manifest.json': strToU8(JSON.stringify(manifest, null, 2))
+            });
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', 'attachment; filename="STAMPS_Output.zip"');
+            return res.send(Buffer.from(zipped));
+        }
+
+        res.json({
+            valid: true,
+            validation,
+            batches: await Promise.all(batches.map(async batch => ({
+                ...batch,
+                content: await batch.content.text()
+            })))
+        });
+    } catch (error) {
+        console.error('Generation error:', error);
+        res.status(500).json({ error: 'Failed to generate XML: ' + error.message });
+    }
+});
+
 // Download Excel template
 app.get('/api/template/download', (req, res) => {
     try {
@@ -228,6 +633,12 @@ app.get('/api/template/download', (req, res) => {
     }
 });
 
+// Errors not handled by a route, e.g. a failed database write (the change is not applied)
+app.use((err, req, res, next) => {
+    console.error('Request error:', err);
+    res.status(500).json({ error: err.message });
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`\n✨ STAMPS Bulk Generator is running!`);
@@ -0,0 +1,270 @@
+/**
+ * STAMPS Bulk Generator - Storage
+ * Embedded JSON store for projects, generations and mapping profiles:
+ * transactional atomic writes, schema migrations (backed up first) and a startup integrity check
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Collections of the database, each a list of records with a numeric id
+const COLLECTIONS = ['projects', 'generations', 'mappingProfiles'];
+
+/**
+ * Schema migrations, applied in order to databases with an older _schemaVersion
+ * (files written before versioning are version 0). Each one mutates the database in place.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Projects and generations',
+        up: (db) => {
+            db.projects = db.projects || [];
+            db.generations = db.generations || [];
+            db._nextIds = db._nextIds || {};
+        }
+    },
+    {
+        version: 2,
+        description: 'Column mapping profiles',
+        up: (db) => {
+            db.mappingProfiles = db.mappingProfiles || [];
+        }
+    },
+    {
+        version: 3,
+        description: 'Project folders relative to the workspaces folder',
+        up: (db) => {
+            // Absolute folders are no longer served: keep them as legacy_folder_path until a new folder is set
+            for (const project of db.projects) {
+                if (project.folder_path && (path.isAbsolute(project.folder_path) || path.win32.isAbsolute(project.folder_path))) {
+                    project.legacy_folder_path = project.folder_path;
+                    delete project.folder_path;
+                }
+            }
+        }
+    }
+];
+
+// Version a new or fully migrated database has
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Open the database in a data directory, creating it if missing
+ * Refuses to open (throws) when the file is unreadable or another server process holds the data directory,
+ * instead of starting with an empty database that would overwrite it.
+ * @param {string} dataDir - Data directory
+ * @param {Object} [options] - { logger }
+ * @returns {Object} Store: { data, transaction(fn), close() }
+ */
+export function openStore(dataDir, { logger = console } = {}) {
+    const dbPath = path.join(dataDir, 'database.json');
+    const tempPath = `${dbPath}.tmp`;
+    const backupDir = path.join(dataDir, 'backups');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    const releaseLock = acquireLock(path.join(dataDir, 'database.lock'));
+
+    try {
+        // A temp file left behind is a write that never completed; the database file itself is intact
+        if (fs.existsSync(tempPath)) {
+            logger.warn(`Discarding incomplete write ${tempPath}`);
+            fs.rmSync(tempPath);
+        }
+
+        let data;
+        if (fs.existsSync(dbPath)) {
+            data = readDatabase(dbPath);
+            const fromVersion = data._schemaVersion || 0;
+            if (fromVersion > SCHEMA_VERSION) {
+                throw new Error(`${dbPath} has schema version ${fromVersion}, newer than this version of the app (${SCHEMA_VERSION})`);
+            }
+            if (fromVersion < SCHEMA_VERSION) {
+                const backupPath = backupDatabase(dbPath, backupDir, fromVersion);
+                logger.log(`Database backed up to ${backupPath} before migrating from schema version ${fromVersion}`);
+                migrate(data, logger);
+                writeAtomic(dbPath, tempPath, data);
+            }
+        } else {
+            data = { _schemaVersion: 0 };
+            migrate(data, logger);
+            writeAtomic(dbPath, tempPath, data);
+        }
+
+        checkIntegrity(data, dbPath, logger);
+
+        return {
+            get data() {
+                return data;
+            },
+
+            /**
+             * Run a change as a transaction: fn mutates a copy of the database, which is written atomically
+             * and becomes the current data only when fn returns without throwing
+             * @param {Function} fn - (draft) => result
+             * @returns {*} Result of fn
+             */
+            transaction(fn) {
+                const draft = structuredClone(data);
+                const result = fn(draft);
+                writeAtomic(dbPath, tempPath, draft);
+                data = draft;
+                return result;
+            },
+
+            close: releaseLock
+        };
+    } catch (error) {
+        releaseLock();
+        throw error;
+    }
+}
+
+/**
+ * Allocate the next id of a collection (inside a transaction)
+ * @param {Object} db - Transaction draft
+ * @param {string} collection - Collection name
+ * @returns {number} New id
+ */
+export function nextId(db, collection) {
+    return db._nextIds[collection]++;
+}
+
+/**
+ * Read and parse the database file
+ * @param {string} dbPath - Database file
+ * @returns {Object} Database
+ */
+function readDatabase(dbPath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`${dbPath} cannot be read (${e.message}). The server was not started so it is not overwritten: ` +
+            `restore it from ${path.join(path.dirname(dbPath), 'backups')} or move it aside to start with an empty database`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${dbPath} does not hold a database object`);
+    }
+    return data;
+}
+
+/**
+ * Apply the migrations newer than the database's schema version
+ * @param {Object} data - Database (mutated)
+ * @param {Object} logger - Logger
+ */
+function migrate(data, logger) {
+    for (const migration of MIGRATIONS) {
+        if ((data._schemaVersion || 0) >= migration.version) continue;
+        migration.up(data);
+        data._schemaVersion = migration.version;
+        logger.log(`Database migrated to schema version ${migration.version}: ${migration.description}`);
+    }
+}
+
+/**
+ * Check the collections and id counters, repairing counters that would reuse an existing id
+ * @param {Object} data - Database (counters may be repaired)
+ * @param {string} dbPath - Database file, for messages
+ * @param {Object} logger - Logger
+ */
+function checkIntegrity(data, dbPath, logger) {
+    for (const collection of COLLECTIONS) {
+        if (!Array.isArray(data[collection])) {
+            throw new Error(`${dbPath} is damaged: "${collection}" is not a list`);
+        }
+
+        const ids = data[collection].map(record => record && record.id);
+        if (ids.some(id => !Number.isInteger(id))) {
+            throw new Error(`${dbPath} is damaged: "${collection}" has a record without a numeric id`);
+        }
+        if (new Set(ids).size !== ids.length) {
+            throw new Error(`${dbPath} is damaged: "${collection}" has duplicate ids`);
+        }
+
+        const minimum = Math.max(0, ...ids) + 1;
+        if (!Number.isInteger(data._nextIds[collection]) || data._nextIds[collection] < minimum) {
+            if (data._nextIds[collection] !== undefined) {
+                logger.warn(`Next ${collection} id ${data._nextIds[collection]} would reuse an existing id; using ${minimum}`);
+            }
+            data._nextIds[collection] = minimum;
+        }
+    }
+}
+
+/**
+ * Write the database to a temp file, flush it to disk and rename it over the database file,
+ * so a crash leaves either the old or the new file and never a partial one
+ * @param {string} dbPath - Database file
+ * @param {string} tempPath - Temp file next to it
+ * @param {Object} data - Database
+ */
+function writeAtomic(dbPath, tempPath, data) {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeFileSync(fd, JSON.stringify(data, null, 2), 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, dbPath);
+}
+
+/**
+ * Copy the database file to the backups folder
+ * @param {string} dbPath - Database file
+ * @param {string} backupDir - Backups folder
+ * @param {number} version - Schema version of the file
+ * @returns {string} Backup path
+ */
+function backupDatabase(dbPath, backupDir, version) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `database-v${version}-${stamp}.json`);
+    fs.copyFileSync(dbPath, backupPath);
+    return backupPath;
+}
+
+/**
+ * Take the data directory's lock file, so two server processes never write the same database
+ * A lock left by a process that is no longer running is taken over.
+ * @param {string} lockPath - Lock file
+ * @returns {Function} Releases the lock
+ */
+function acquireLock(lockPath) {
+    try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+
+        const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+        if (pid && pid !== process.pid && isRunning(pid)) {
+            throw new Error(`${path.dirname(lockPath)} is in use by another server process (pid ${pid})`);
+        }
+        fs.writeFileSync(lockPath, String(process.pid));
+    }
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        try {
+            fs.rmSync(lockPath, { force: true });
+        } catch (e) {
+            console.error('Error releasing database lock:', e);
+        }
+    };
+}
+
+/**
+ * Check whether a process is running
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
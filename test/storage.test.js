@@ -0,0 +1,60 @@
+/**
+ * Storage: migration of projects saved with an absolute folder
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStore, SCHEMA_VERSION } from '../storage.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+const dirs = [];
+
+after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Data directory holding a database file with the given contents
+ */
+function dataDirWith(data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stamps-storage-'));
+    dirs.push(dir);
+    fs.writeFileSync(path.join(dir, 'database.json'), JSON.stringify(data));
+    return dir;
+}
+
+test('absolute project folders are set aside as legacy_folder_path', () => {
+    const dir = dataDirWith({
+        _schemaVersion: 2,
+        projects: [
+            { id: 1, name: 'Posix', folder_path: '/home/clerk/ABC' },
+            { id: 2, name: 'Windows', folder_path: 'C:\\Clients\\XYZ' },
+            { id: 3, name: 'Relative', folder_path: 'ABC Holdings/Block B' },
+            { id: 4, name: 'No folder' }
+        ],
+        generations: [],
+        mappingProfiles: [],
+        _nextIds: { projects: 5 }
+    });
+
+    const store = openStore(dir, { logger: quiet });
+    try {
+        const [posix, windows, relative, none] = store.data.projects;
+        assert.equal(store.data._schemaVersion, SCHEMA_VERSION);
+        assert.deepEqual([posix.folder_path, posix.legacy_folder_path], [undefined, '/home/clerk/ABC']);
+        assert.deepEqual([windows.folder_path, windows.legacy_folder_path], [undefined, 'C:\\Clients\\XYZ']);
+        assert.deepEqual([relative.folder_path, relative.legacy_folder_path], ['ABC Holdings/Block B', undefined]);
+        assert.deepEqual([none.folder_path, none.legacy_folder_path], [undefined, undefined]);
+    } finally {
+        store.close();
+    }
+
+    // The database as it was is kept in the backups folder
+    const backups = fs.readdirSync(path.join(dir, 'backups'));
+    assert.equal(backups.length, 1);
+    const backup = JSON.parse(fs.readFileSync(path.join(dir, 'backups', backups[0]), 'utf8'));
+    assert.equal(backup.projects[0].folder_path, '/home/clerk/ABC');
+});
@@ -0,0 +1,104 @@
+/**
+ * Workspace sandbox: folder checks, traversal and symlink escapes
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { checkFolderPath, resolveWorkspaceRoot, resolveInWorkspace } from '../workspace.js';
+
+let tmp;
+let workspacesRoot;
+let outside;
+let root;
+
+before(() => {
+    tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'stamps-workspace-')));
+    workspacesRoot = path.join(tmp, 'workspaces');
+    outside = path.join(tmp, 'outside');
+    fs.mkdirSync(path.join(workspacesRoot, 'client'), { recursive: true });
+    fs.mkdirSync(path.join(workspacesRoot, 'other'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.writeFileSync(path.join(workspacesRoot, 'client', 'data.xlsx'), 'data');
+
+    root = resolveWorkspaceRoot('client', workspacesRoot);
+});
+
+after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('checkFolderPath accepts relative folders and normalises them', () => {
+    assert.equal(checkFolderPath('client'), 'client');
+    assert.equal(checkFolderPath('ABC Holdings/./Block B/'), path.join('ABC Holdings', 'Block B') + path.sep);
+    assert.equal(checkFolderPath('a/../b'), 'b');
+});
+
+test('checkFolderPath refuses absolute folders', () => {
+    assert.throws(() => checkFolderPath('/etc'), /absolute path/);
+    assert.throws(() => checkFolderPath('C:\\Users\\clerk'), /absolute path/);
+    assert.throws(() => checkFolderPath('\\\\server\\share'), /absolute path/);
+});
+
+test('checkFolderPath refuses folders leading out of the workspaces folder', () => {
+    for (const folder of ['.', '..', '../outside', 'client/../../outside', 'a/../..']) {
+        assert.throws(() => checkFolderPath(folder), /inside the workspaces folder/, folder);
+    }
+    assert.throws(() => checkFolderPath('client\0'), /must be a path/);
+    assert.throws(() => checkFolderPath(42), /must be a path/);
+});
+
+test('resolveWorkspaceRoot refuses missing folders and a workspace symlinked outside', () => {
+    assert.throws(() => resolveWorkspaceRoot('missing', workspacesRoot), /does not exist/);
+
+    fs.symlinkSync(outside, path.join(workspacesRoot, 'escape'));
+    assert.throws(() => resolveWorkspaceRoot('escape', workspacesRoot), /outside the workspaces folder/);
+});
+
+test('resolveInWorkspace resolves paths inside the workspace', () => {
+    assert.equal(resolveInWorkspace(root, 'data.xlsx'), path.join(root, 'data.xlsx'));
+    assert.equal(resolveInWorkspace(root, path.join(root, 'data.xlsx')), path.join(root, 'data.xlsx'));
+    assert.equal(resolveInWorkspace(root, 'out/new/Output.xml'), path.join(root, 'out', 'new', 'Output.xml'));
+    assert.equal(resolveInWorkspace(root, '.'), root);
+});
+
+test('resolveInWorkspace refuses traversal out of the workspace', () => {
+    for (const requested of [
+        '../other/file.txt',
+        '../../outside/secret.txt',
+        'out/../../other',
+        path.join(outside, 'secret.txt'),
+        '/etc/passwd'
+    ]) {
+        assert.throws(() => resolveInWorkspace(root, requested), /outside the project workspace/, requested);
+    }
+    assert.throws(() => resolveInWorkspace(root, ''), /is required/);
+    assert.throws(() => resolveInWorkspace(root, 'data\0.xlsx'), /is required/);
+});
+
+test('resolveInWorkspace refuses symlinks leading out of the workspace', () => {
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'link.txt'));
+    fs.symlinkSync(outside, path.join(root, 'linked-folder'));
+
+    assert.throws(() => resolveInWorkspace(root, 'link.txt'), /outside the project workspace/);
+    assert.throws(() => resolveInWorkspace(root, 'linked-folder/secret.txt'), /outside the project workspace/);
+    // A file not written yet, in a symlinked folder
+    assert.throws(() => resolveInWorkspace(root, 'linked-folder/new/Output.xml'), /outside the project workspace/);
+});
+
+test('resolveInWorkspace refuses dangling symlinks, which writing would follow', () => {
+    fs.symlinkSync(path.join(outside, 'created-by-write.txt'), path.join(root, 'dangling.txt'));
+
+    assert.throws(() => resolveInWorkspace(root, 'dangling.txt'), /cannot be resolved/);
+    assert.throws(() => resolveInWorkspace(root, 'dangling.txt/child'), /cannot be resolved/);
+});
+
+test('resolveInWorkspace allows symlinks that stay inside the workspace', () => {
+    fs.mkdirSync(path.join(root, 'batches'));
+    fs.symlinkSync(path.join(root, 'batches'), path.join(root, 'latest'));
+
+    assert.equal(resolveInWorkspace(root, 'latest/Output.xml'), path.join(root, 'batches', 'Output.xml'));
+});
@@ -0,0 +1,118 @@
+/**
+ * STAMPS Bulk Generator - Workspace Sandbox
+ * Confines file-system requests to a project's workspace folder: paths are resolved
+ * (symlinks included) and anything that ends up outside the folder is refused
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Check a project folder as entered: a path relative to the workspaces folder that stays inside it
+ * @param {string} folderPath - Folder path from the request
+ * @returns {string} Normalised relative path
+ */
+export function checkFolderPath(folderPath) {
+    if (typeof folderPath !== 'string' || folderPath.includes('\0')) {
+        throw new Error('Folder must be a path');
+    }
+    if (path.isAbsolute(folderPath) || path.win32.isAbsolute(folderPath)) {
+        throw new Error(`Folder ${folderPath} must be relative to the workspaces folder, not an absolute path`);
+    }
+
+    const normalised = path.normalize(folderPath.trim());
+    if (normalised === '.' || normalised === '..' || normalised.startsWith('..' + path.sep)) {
+        throw new Error(`Folder ${folderPath} must be a folder inside the workspaces folder`);
+    }
+    return normalised;
+}
+
+/**
+ * Resolve a project's workspace folder inside the workspaces folder
+ * Projects saved with an absolute folder, or one leading outside (symlinks included), are refused.
+ * @param {string} folderPath - The project's folder_path, relative to the workspaces folder
+ * @param {string} workspacesRoot - Folder all workspaces lie in
+ * @returns {string} Real path of the workspace folder
+ */
+export function resolveWorkspaceRoot(folderPath, workspacesRoot) {
+    const folder = path.join(workspacesRoot, checkFolderPath(folderPath));
+
+    let root;
+    try {
+        root = fs.realpathSync(folder);
+    } catch (e) {
+        throw new Error(`Workspace folder ${folderPath} does not exist`);
+    }
+    if (!isInside(fs.realpathSync(workspacesRoot), root)) {
+        throw new Error(`Workspace folder ${folderPath} is outside the workspaces folder`);
+    }
+    if (!fs.statSync(root).isDirectory()) {
+        throw new Error(`Workspace folder ${folderPath} is not a folder`);
+    }
+    return root;
+}
+
+/**
+ * Resolve a requested path inside a workspace
+ * Relative paths are taken from the workspace folder. Paths that do not exist yet (e.g. a file about to be
+ * written) are resolved through their nearest existing folder, so a symlinked folder cannot lead outside either.
+ * @param {string} root - Real path of the workspace folder (from resolveWorkspaceRoot)
+ * @param {string} requestedPath - Path from the request
+ * @returns {string} Real path inside the workspace
+ */
+export function resolveInWorkspace(root, requestedPath) {
+    if (typeof requestedPath !== 'string' || requestedPath.trim() === '' || requestedPath.includes('\0')) {
+        throw new Error('A path inside the workspace is required');
+    }
+
+    const target = path.resolve(root, requestedPath);
+
+    // Find the nearest part of the path that exists and resolve its symlinks
+    let existing = target;
+    const missing = [];
+    let real;
+    for (;;) {
+        try {
+            real = fs.realpathSync(existing);
+            break;
+        } catch (e) {
+            // A symlink whose target is missing would be followed when written to
+            if (e.code !== 'ENOENT' || isSymlink(existing)) {
+                throw new Error(`${requestedPath} cannot be resolved inside the workspace`);
+            }
+            const parent = path.dirname(existing);
+            if (parent === existing) throw e;
+            missing.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+
+    const resolved = path.join(real, ...missing);
+    if (!isInside(root, resolved)) {
+        throw new Error(`${requestedPath} is outside the project workspace`);
+    }
+    return resolved;
+}
+
+/**
+ * Check whether a path is a folder or lies within it
+ * @param {string} folder - Folder path
+ * @param {string} target - Path to check
+ * @returns {boolean} True if target is folder or inside it
+ */
+function isInside(folder, target) {
+    const relative = path.relative(folder, target);
+    return relative === '' ||
+        (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+/**
+ * Check whether a path is a symlink (without following it)
+ */
+function isSymlink(filePath) {
+    try {
+        return fs.lstatSync(filePath).isSymbolicLink();
+    } catch {
+        return false;
+    }
+}